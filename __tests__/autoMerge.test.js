@@ -0,0 +1,103 @@
+// __tests__/autoMerge.test.js
+const { mergePullRequest, parseMergePolicy } = require('../src/autoMerge');
+const { parsePatternList } = require('../src/checkPatterns');
+
+jest.mock('@actions/core');
+
+describe('Auto-merge', () => {
+    let mockOctokit;
+    const context = { repo: { owner: 'test-owner', repo: 'test-repo' } };
+    const pr = {
+        number: 7,
+        node_id: 'PR_kwDO',
+        user: { login: 'octocat' },
+        labels: [{ name: 'automerge' }],
+        head: { sha: 'abc123' },
+        merged: false,
+        auto_merge: null
+    };
+    const policy = { mode: 'merge', method: 'squash', label: 'automerge', authors: [], commitTitle: '{{title}} (#{{number}})' };
+    const variables = { title: 'Fix bug', number: 7 };
+    const inputs = values => name => values[name] || '';
+
+    beforeEach(() => {
+        mockOctokit = {
+            graphql: jest.fn().mockResolvedValue({}),
+            rest: {
+                pulls: {
+                    get: jest.fn().mockResolvedValue({ data: pr }),
+                    merge: jest.fn().mockResolvedValue({ data: { merged: true } })
+                }
+            }
+        };
+    });
+
+    test('should parse the merge policy', () => {
+        expect(parseMergePolicy(inputs({}), parsePatternList)).toBeNull();
+        expect(parseMergePolicy(inputs({ 'auto-merge': 'enable', 'auto-merge-authors': 'dependabot[bot], octocat' }), parsePatternList))
+            .toEqual({ mode: 'enable', method: 'merge', label: '', authors: ['dependabot[bot]', 'octocat'], commitTitle: '' });
+        expect(() => parseMergePolicy(inputs({ 'auto-merge': 'merge' }), parsePatternList))
+            .toThrow('auto-merge needs auto-merge-label or auto-merge-authors');
+        expect(() => parseMergePolicy(inputs({ 'auto-merge': 'merge', 'auto-merge-label': 'x', 'merge-method': 'fast-forward' }), parsePatternList))
+            .toThrow('Invalid merge-method: fast-forward');
+    });
+
+    test('should merge the evaluated commit with the rendered title', async () => {
+        const outcome = await mergePullRequest(mockOctokit, context, 7, 'abc123', policy, variables);
+
+        expect(outcome).toEqual({ result: 'merged', message: '🚀 Merged (squash).' });
+        expect(mockOctokit.rest.pulls.merge).toHaveBeenCalledWith({
+            owner: 'test-owner',
+            repo: 'test-repo',
+            pull_number: 7,
+            sha: 'abc123',
+            merge_method: 'squash',
+            commit_title: 'Fix bug (#7)'
+        });
+    });
+
+    test('should enable auto-merge through GraphQL', async () => {
+        const outcome = await mergePullRequest(mockOctokit, context, 7, 'abc123', { ...policy, mode: 'enable' }, variables);
+
+        expect(outcome.result).toBe('auto-merge-enabled');
+        expect(mockOctokit.graphql).toHaveBeenCalledWith(expect.stringContaining('enablePullRequestAutoMerge'), {
+            pullRequestId: 'PR_kwDO',
+            mergeMethod: 'SQUASH',
+            expectedHeadOid: 'abc123',
+            commitHeadline: 'Fix bug (#7)'
+        });
+        expect(mockOctokit.rest.pulls.merge).not.toHaveBeenCalled();
+    });
+
+    test('should skip PRs without the label or an allowed author', async () => {
+        mockOctokit.rest.pulls.get.mockResolvedValue({ data: { ...pr, labels: [] } });
+
+        const outcome = await mergePullRequest(mockOctokit, context, 7, 'abc123', policy, variables);
+
+        expect(outcome).toEqual({ result: 'skipped', message: null });
+        expect(mockOctokit.rest.pulls.merge).not.toHaveBeenCalled();
+    });
+
+    test('should refuse to merge when the head moved', async () => {
+        mockOctokit.rest.pulls.get.mockResolvedValue({ data: { ...pr, head: { sha: 'def4567890' } } });
+
+        const outcome = await mergePullRequest(mockOctokit, context, 7, 'abc123', policy, variables);
+
+        expect(outcome).toEqual({
+            result: 'head-changed',
+            message: '⚠️ Not merged: a new commit (def4567) was pushed after the checks were evaluated.'
+        });
+        expect(mockOctokit.rest.pulls.merge).not.toHaveBeenCalled();
+    });
+
+    test('should report a head that moved during the merge and other failures', async () => {
+        mockOctokit.rest.pulls.merge.mockRejectedValueOnce(Object.assign(new Error('Head branch was modified'), { status: 409 }));
+        expect((await mergePullRequest(mockOctokit, context, 7, 'abc123', policy, variables)).result).toBe('head-changed');
+
+        mockOctokit.rest.pulls.merge.mockRejectedValueOnce(Object.assign(new Error('Base branch was modified'), { status: 405 }));
+        expect(await mergePullRequest(mockOctokit, context, 7, 'abc123', policy, variables)).toEqual({
+            result: 'failed',
+            message: '⚠️ Auto-merge failed: Base branch was modified'
+        });
+    });
+});
@@ -0,0 +1,50 @@
+// __tests__/checkAttempts.test.js
+const core = require('@actions/core');
+const { collapseAttempts } = require('../src/checkAttempts');
+
+jest.mock('@actions/core');
+
+describe('Check Attempts', () => {
+    const run = (id, name, conclusion, startedAt, suite = 1, app = 'github-actions') => ({
+        id,
+        name,
+        status: 'completed',
+        conclusion,
+        started_at: startedAt,
+        check_suite: { id: suite },
+        app: { id: app === 'github-actions' ? 15368 : 42, slug: app }
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should keep only the latest attempt of a re-run check', () => {
+        const first = run(1, 'build', 'failure', '2024-01-01T10:00:00Z');
+        const retry = run(2, 'build', 'success', '2024-01-01T10:05:00Z');
+        const lint = run(3, 'lint', 'success', '2024-01-01T10:00:00Z');
+
+        expect(collapseAttempts([retry, lint, first])).toEqual([retry, lint]);
+        expect(core.info).toHaveBeenCalledWith(
+            'Ignoring superseded attempt of "build" [github-actions]: run 1 (completed/failure) was replaced by run 2'
+        );
+    });
+
+    test('should fall back to the run ID when start times match', () => {
+        const first = run(1, 'build', 'failure', '2024-01-01T10:00:00Z');
+        const retry = run(2, 'build', 'success', '2024-01-01T10:00:00Z');
+
+        expect(collapseAttempts([first, retry])).toEqual([retry]);
+    });
+
+    test('should keep same-named checks from other apps and suites', () => {
+        const runs = [
+            run(1, 'build', 'failure', '2024-01-01T10:00:00Z', 1),
+            run(2, 'build', 'success', '2024-01-01T10:05:00Z', 2),
+            run(3, 'build', 'success', '2024-01-01T10:05:00Z', 3, 'circleci')
+        ];
+
+        expect(collapseAttempts(runs)).toEqual(runs);
+        expect(core.info).not.toHaveBeenCalled();
+    });
+});
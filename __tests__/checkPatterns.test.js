@@ -0,0 +1,50 @@
+// __tests__/checkPatterns.test.js
+const { findMatch, parsePattern, parsePatternList } = require('../src/checkPatterns');
+
+describe('Check Patterns', () => {
+    test('should match plain names exactly and case-insensitively', () => {
+        const pattern = parsePattern('lint');
+
+        expect(findMatch([pattern], { name: 'Lint' })).toBe(pattern);
+        expect(findMatch([pattern], { name: 'lint-docs' })).toBeNull();
+    });
+
+    test('should match globs', () => {
+        const pattern = parsePattern('e2e-*');
+
+        expect(findMatch([pattern], { name: 'e2e-chrome' })).toBe(pattern);
+        expect(findMatch([pattern], { context: 'unit' })).toBeNull();
+    });
+
+    test('should match regexes', () => {
+        const pattern = parsePattern('/^build \\((ubuntu|macos)\\)$/g');
+
+        expect(findMatch([pattern], { name: 'build (ubuntu)' })).toBe(pattern);
+        expect(findMatch([pattern], { name: 'build (ubuntu)' })).toBe(pattern);
+        expect(findMatch([pattern], { name: 'build (windows)' })).toBeNull();
+    });
+
+    test('should scope patterns to an app slug', () => {
+        const pattern = parsePattern('atlantis:apply');
+
+        expect(pattern.app).toBe('atlantis');
+        expect(findMatch([pattern], { name: 'apply', app: { slug: 'atlantis' } })).toBe(pattern);
+        expect(findMatch([pattern], { name: 'apply', app: { slug: 'github-actions' } })).toBeNull();
+        expect(findMatch([pattern], { context: 'apply' })).toBeNull();
+    });
+
+    test('should leave names with spaced colons and regexes unscoped', () => {
+        expect(parsePattern('lint: docs').app).toBeNull();
+        expect(parsePattern('/^a:b$/').app).toBeNull();
+    });
+
+    test('should reject invalid regexes', () => {
+        expect(() => parsePattern('/(unclosed/')).toThrow('Invalid check pattern "/(unclosed/"');
+    });
+
+    test('should split lists on commas or newlines', () => {
+        expect(parsePatternList('a, b,,c')).toEqual(['a', 'b', 'c']);
+        expect(parsePatternList('/a{1,2}/\nb\n')).toEqual(['/a{1,2}/', 'b']);
+        expect(parsePatternList('')).toEqual([]);
+    });
+});
@@ -0,0 +1,156 @@
+// __tests__/cli.test.js
+const { Octokit } = require('@octokit/rest');
+const { checkPullRequest, main, parseCliArgs, parseTarget } = require('../src/cli');
+const { mockPaginate } = require('./testUtils');
+
+jest.mock('@actions/core');
+jest.mock('@octokit/rest');
+
+describe('Command Line', () => {
+    let mockOctokit;
+    const context = { repo: { owner: 'test-owner', repo: 'test-repo' }, payload: {}, actor: 'me' };
+    const env = { GITHUB_TOKEN: 'env-token' };
+
+    const createStream = () => {
+        const stream = { output: '' };
+        stream.write = jest.fn(text => { stream.output += text; return true; });
+        return stream;
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        require('../src/notificationStore').notifications.clear();
+
+        mockOctokit = {
+            paginate: mockPaginate(),
+            rest: {
+                checks: {
+                    listForRef: jest.fn().mockResolvedValue({
+                        data: { check_runs: [{ name: 'build', status: 'completed', conclusion: 'success' }] }
+                    })
+                },
+                pulls: {
+                    get: jest.fn().mockResolvedValue({
+                        data: {
+                            number: 5,
+                            title: 'Add feature',
+                            html_url: 'https://github.com/test-owner/test-repo/pull/5',
+                            user: { login: 'octocat' },
+                            head: { sha: 'head-sha', ref: 'feature' },
+                            base: { ref: 'main' },
+                            mergeable: true,
+                            mergeable_state: 'clean'
+                        }
+                    }),
+                    listReviews: jest.fn().mockResolvedValue({ data: [{ user: { id: 1 }, state: 'APPROVED' }] })
+                },
+                issues: {
+                    createComment: jest.fn().mockResolvedValue({}),
+                    listComments: jest.fn().mockResolvedValue({ data: [] })
+                },
+                repos: {
+                    getCombinedStatusForRef: jest.fn().mockResolvedValue({ data: { statuses: [] } })
+                }
+            }
+        };
+        Octokit.plugin.mockReturnValue(function MockOctokit() {
+            return mockOctokit;
+        });
+    });
+
+    test('should parse PR references', () => {
+        expect(parseTarget('octo-org/my.repo#42')).toEqual({ owner: 'octo-org', repo: 'my.repo', number: 42 });
+        expect(() => parseTarget('octo-org/my.repo')).toThrow('Expected a PR like owner/repo#123, got "octo-org/my.repo"');
+    });
+
+    test('should read options from flags before the environment', () => {
+        const args = parseCliArgs(
+            ['check', 'a/b#1', '--exclude', 'lint,docs', '--exclude', 'e2e-*', '--watch', '--interval', '10'],
+            { ...env, PR_NOTIFIER_EXCLUDED_CHECKS: 'ignored', PR_NOTIFIER_INCLUDED_CHECKS: 'build', PR_NOTIFIER_MESSAGE: 'Ready {{author}}' }
+        );
+
+        expect(args).toMatchObject({
+            target: { owner: 'a', repo: 'b', number: 1 },
+            token: 'env-token',
+            excludedChecks: ['lint', 'docs', 'e2e-*'],
+            includedChecks: ['build'],
+            message: 'Ready {{author}}',
+            watch: true,
+            pollInterval: 10000,
+            json: false
+        });
+    });
+
+    test('should reject bad arguments', () => {
+        expect(() => parseCliArgs(['status', 'a/b#1'], env)).toThrow('Unknown command "status"');
+        expect(() => parseCliArgs(['check', 'a/b#1'], {})).toThrow('A token is required');
+        expect(() => parseCliArgs(['check', 'a/b#1', '--once', '--watch'], env)).toThrow('--once and --watch cannot be combined');
+        expect(() => parseCliArgs(['check', 'a/b#1', '--include', '/[/'], env)).toThrow('Invalid check pattern');
+    });
+
+    test('should report a ready PR and comment once', async () => {
+        const report = await checkPullRequest(mockOctokit, context, {
+            target: { number: 5 },
+            excludedChecks: [],
+            includedChecks: [],
+            message: '@{{author}} ready'
+        });
+
+        expect(report).toMatchObject({ state: 'ready', sha: 'head-sha', passed: ['build'], commented: true });
+        expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith({
+            owner: 'test-owner',
+            repo: 'test-repo',
+            issue_number: 5,
+            body: '@octocat ready\n\n<!-- pr-status-check-notifier:success:pr-5:head-sha -->'
+        });
+    });
+
+    test('should exit non-zero with a JSON report for failed checks', async () => {
+        mockOctokit.rest.checks.listForRef.mockResolvedValue({
+            data: { check_runs: [{ name: 'build', status: 'completed', conclusion: 'failure' }] }
+        });
+        const stdout = createStream();
+        const stderr = createStream();
+
+        const code = await main(['check', 'test-owner/test-repo#5', '--json'], { env, stdout, stderr });
+
+        expect(code).toBe(1);
+        expect(JSON.parse(stdout.output)).toMatchObject({ repository: 'test-owner/test-repo', number: 5, state: 'failed', failed: ['build'] });
+        expect(Octokit.plugin).toHaveBeenCalled();
+    });
+
+    test('should watch until the checks finish', async () => {
+        mockOctokit.rest.checks.listForRef
+            .mockResolvedValueOnce({ data: { check_runs: [{ name: 'build', status: 'in_progress', conclusion: null }] } })
+            .mockResolvedValueOnce({ data: { check_runs: [{ name: 'build', status: 'completed', conclusion: 'success' }] } });
+        const stdout = createStream();
+        const sleep = jest.fn().mockResolvedValue();
+
+        const code = await main(['check', 'test-owner/test-repo#5', '--watch'], { env, stdout, stderr: createStream(), sleep });
+
+        expect(code).toBe(0);
+        expect(sleep).toHaveBeenCalledTimes(1);
+        expect(stdout.output).toContain('State: ready');
+    });
+
+    test('should time out while checks stay pending', async () => {
+        mockOctokit.rest.checks.listForRef.mockResolvedValue({
+            data: { check_runs: [{ name: 'build', status: 'queued', conclusion: null }] }
+        });
+        const stdout = createStream();
+
+        const code = await main(['check', 'test-owner/test-repo#5', '--watch', '--interval', '60', '--timeout', '1'],
+            { env, stdout, stderr: createStream(), sleep: jest.fn() });
+
+        expect(code).toBe(2);
+        expect(stdout.output).toContain('State: timeout');
+        expect(stdout.output).toContain('Pending: build');
+    });
+
+    test('should print usage for invalid arguments', async () => {
+        const stderr = createStream();
+
+        expect(await main(['check'], { env, stdout: createStream(), stderr })).toBe(3);
+        expect(stderr.output).toContain('Usage: pr-notifier check');
+    });
+});
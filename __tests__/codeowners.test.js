@@ -0,0 +1,42 @@
+// __tests__/codeowners.test.js
+const { ownersForFile, parseCodeowners } = require('../src/codeowners');
+
+jest.mock('@actions/core');
+
+describe('CODEOWNERS', () => {
+    const rules = parseCodeowners([
+        '# Default owners',
+        '*       @global-owner',
+        '*.js    @js-owner # inline comment',
+        '/build/logs/ @logs-owner',
+        'docs/*  @docs-owner',
+        'apps/   @apps-owner',
+        '/scripts/generated',
+        '**/fixtures/** @fixtures-owner'
+    ].join('\n'));
+
+    test('should let the last matching rule win', () => {
+        expect(ownersForFile(rules, 'README.md')).toEqual(['@global-owner']);
+        expect(ownersForFile(rules, 'src/index.js')).toEqual(['@js-owner']);
+    });
+
+    test('should anchor patterns with slashes to the root', () => {
+        expect(ownersForFile(rules, 'build/logs/out.txt')).toEqual(['@logs-owner']);
+        expect(ownersForFile(rules, 'src/build/logs/out.txt')).toEqual(['@global-owner']);
+    });
+
+    test('should match directories at any depth', () => {
+        expect(ownersForFile(rules, 'apps/web/page.html')).toEqual(['@apps-owner']);
+        expect(ownersForFile(rules, 'src/apps/web/page.html')).toEqual(['@apps-owner']);
+    });
+
+    test('should keep single-star directory patterns shallow', () => {
+        expect(ownersForFile(rules, 'docs/guide.md')).toEqual(['@docs-owner']);
+        expect(ownersForFile(rules, 'docs/api/guide.md')).toEqual(['@global-owner']);
+    });
+
+    test('should support double-star patterns and unowned rules', () => {
+        expect(ownersForFile(rules, 'test/fixtures/data.json')).toEqual(['@fixtures-owner']);
+        expect(ownersForFile(rules, 'scripts/generated/out.txt')).toEqual([]);
+    });
+});
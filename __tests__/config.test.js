@@ -0,0 +1,115 @@
+// __tests__/config.test.js
+const { createConfigInput, loadConfig, resolveConfigSettings, validateConfig } = require('../src/config');
+
+jest.mock('@actions/core');
+
+describe('Config File', () => {
+    const context = { repo: { owner: 'test-owner', repo: 'test-repo' } };
+    const encode = text => ({ data: { type: 'file', content: Buffer.from(text).toString('base64'), encoding: 'base64' } });
+
+    test('should accept a valid config', () => {
+        const config = {
+            'excluded-checks': ['notify-check', '/^optional-/'],
+            'min-approvals': 2,
+            'sticky-comment': true,
+            overrides: [{ branches: 'release/*', 'min-approvals': 3 }]
+        };
+
+        expect(validateConfig(config, 'pr-notifier.yml')).toBe(config);
+    });
+
+    test('should report every schema error at once', () => {
+        const config = {
+            'min-approvals': -1,
+            'sticky-comment': 'yes',
+            'github-token': 'secret',
+            overrides: [
+                { 'min-approvals': 2 },
+                { labels: 'hotfix', 'excluded-checks': [1] },
+                'release/*'
+            ]
+        };
+
+        expect(() => validateConfig(config, '.github/pr-notifier.yml')).toThrow([
+            'Invalid .github/pr-notifier.yml:',
+            '  - min-approvals must be a non-negative integer',
+            '  - sticky-comment must be true or false',
+            '  - github-token is not a known setting',
+            '  - overrides[0] needs branches or labels to match on',
+            '  - overrides[1].excluded-checks must be a string or a list of strings',
+            '  - overrides[2] must be a mapping'
+        ].join('\n'));
+    });
+
+    test('should apply matching overrides in file order', () => {
+        const config = {
+            'min-approvals': 1,
+            'notification-message': 'Ready',
+            overrides: [
+                { branches: ['release/*'], 'min-approvals': 2 },
+                { labels: ['hotfix'], 'min-approvals': 0 },
+                { branches: 'main', 'notification-message': 'Never' }
+            ]
+        };
+        const pr = { number: 7, base: { ref: 'release/1.2' }, labels: [{ name: 'hotfix' }] };
+
+        expect(resolveConfigSettings(config, pr)).toEqual({
+            'min-approvals': 0,
+            'notification-message': 'Ready'
+        });
+    });
+
+    test('should require both branches and labels when an override sets both', () => {
+        const config = { overrides: [{ branches: 'release/*', labels: 'hotfix', 'sticky-comment': true }] };
+
+        expect(resolveConfigSettings(config, { base: { ref: 'release/1' }, labels: [] })).toEqual({});
+        expect(resolveConfigSettings(config, { base: { ref: 'main' }, labels: [{ name: 'hotfix' }] })).toEqual({});
+    });
+
+    test('should read config values before action inputs', () => {
+        const getInput = jest.fn(name => `input:${name}`);
+        const input = createConfigInput({ 'excluded-checks': ['a', '/b,c/'], 'min-approvals': 2, 'ignore-drafts': false }, getInput);
+
+        expect(input('excluded-checks')).toBe('a\n/b,c/\n');
+        expect(input('min-approvals')).toBe('2');
+        expect(input('ignore-drafts')).toBe('false');
+        expect(input('notification-message')).toBe('input:notification-message');
+    });
+
+    test('should load and cache the config from the base branch', async () => {
+        const octokit = {
+            rest: { repos: { getContent: jest.fn().mockResolvedValue(encode('min-approvals: 2\n')) } }
+        };
+
+        expect(await loadConfig(octokit, context, '.github/pr-notifier.yml', 'main')).toEqual({ 'min-approvals': 2 });
+        expect(await loadConfig(octokit, context, '.github/pr-notifier.yml', 'main')).toEqual({ 'min-approvals': 2 });
+        expect(octokit.rest.repos.getContent).toHaveBeenCalledTimes(1);
+        expect(octokit.rest.repos.getContent).toHaveBeenCalledWith({
+            owner: 'test-owner',
+            repo: 'test-repo',
+            path: '.github/pr-notifier.yml',
+            ref: 'main'
+        });
+    });
+
+    test('should treat a missing file as no config', async () => {
+        const octokit = {
+            rest: { repos: { getContent: jest.fn().mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 })) } }
+        };
+
+        expect(await loadConfig(octokit, context, '.github/pr-notifier.yml', 'develop')).toBeNull();
+    });
+
+    test('should name the file in YAML and schema errors', async () => {
+        const octokit = {
+            rest: { repos: { getContent: jest.fn() } }
+        };
+
+        octokit.rest.repos.getContent.mockResolvedValueOnce(encode('min-approvals: [\n'));
+        await expect(loadConfig(octokit, context, 'broken.yml', 'main')).rejects.toThrow(/^Invalid broken\.yml@main: /);
+
+        octokit.rest.repos.getContent.mockResolvedValueOnce(encode('timeout: 5\n'));
+        await expect(loadConfig(octokit, context, 'unknown.yml', 'main'))
+            .rejects.toThrow('Invalid unknown.yml@main:\n  - timeout is not a known setting');
+    });
+});
@@ -0,0 +1,97 @@
+// __tests__/dryRun.test.js
+const core = require('@actions/core');
+const { getOctokit } = require('@actions/github');
+const {
+    createDryRunPlugin,
+    createDryRunRecorder,
+    describeReason,
+    wrapNotifiers,
+    writeDryRunSummary
+} = require('../src/dryRun');
+
+jest.mock('@actions/core');
+
+describe('Dry Run', () => {
+    let recorder;
+    let fetch;
+
+    const reply = body => new Response(JSON.stringify(body), {
+        status: 200,
+        headers: { 'content-type': 'application/json' }
+    });
+    const createOctokit = () => getOctokit('token', { request: { fetch } }, createDryRunPlugin(recorder));
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        recorder = createDryRunRecorder();
+        fetch = jest.fn().mockResolvedValue(reply({ ok: true }));
+        core.summary = {
+            addHeading: jest.fn().mockReturnThis(),
+            addRaw: jest.fn().mockReturnThis(),
+            addTable: jest.fn().mockReturnThis(),
+            write: jest.fn().mockResolvedValue()
+        };
+    });
+
+    test('should record writes instead of sending them', async () => {
+        const octokit = createOctokit();
+        const body = 'Ready!\n\n<!-- pr-status-check-notifier:success:pr-7:abc -->';
+
+        const response = await octokit.rest.issues.createComment({ owner: 'o', repo: 'r', issue_number: 7, body });
+
+        expect(fetch).not.toHaveBeenCalled();
+        expect(response.status).toBe(200);
+        expect(recorder.actions).toEqual([{
+            target: 'PR #7',
+            request: 'POST /repos/o/r/issues/7/comments',
+            reason: 'all checks passed and the PR is ready',
+            body
+        }]);
+        expect(core.info).toHaveBeenCalledWith('[dry-run]   Ready!');
+    });
+
+    test('should let reads and GraphQL queries through', async () => {
+        const octokit = createOctokit();
+
+        await octokit.rest.pulls.get({ owner: 'o', repo: 'r', pull_number: 7 });
+        await octokit.graphql('query { viewer { login } }');
+        await octokit.graphql('mutation { addStar(input: {}) { clientMutationId } }');
+
+        expect(fetch).toHaveBeenCalledTimes(2);
+        expect(recorder.actions).toHaveLength(1);
+        expect(recorder.actions[0].request).toBe('POST /graphql');
+    });
+
+    test('should name the reason for each kind of write', () => {
+        expect(describeReason('x <!-- pr-status-check-notifier:failure:pr-1:a -->', '')).toBe('checks failed');
+        expect(describeReason('x <!-- pr-status-check-notifier:stall-e2e:pr-1:a -->', '')).toBe('check looks stuck');
+        expect(describeReason('<!-- pr-status-check-notifier:sticky -->', '')).toBe('status comment changed');
+        expect(describeReason(undefined, 'https://api.github.com/repos/o/r/check-runs/5/rerequest')).toBe('flaky check failed');
+        expect(describeReason(undefined, 'https://api.github.com/repos/o/r/check-runs/5')).toBe('ready check changed');
+        expect(describeReason(undefined, 'https://api.github.com/repos/o/r/statuses/abc123')).toBe('ready check changed');
+        expect(describeReason(undefined, 'https://api.github.com/repos/o/r/pulls/7/merge')).toBe('PR is ready to merge');
+        expect(describeReason(undefined, 'https://api.github.com/repos/o/r/issues/7/labels')).toBe('state label changed');
+        expect(describeReason(undefined, 'https://api.github.com/repos/o/r/issues/7/labels/ci%3A%20pending')).toBe('state label changed');
+    });
+
+    test('should record channel notifications without sending them', async () => {
+        const send = jest.fn();
+        const [notifier] = wrapNotifiers([{ name: 'Slack', send }], recorder);
+
+        await notifier.send({ event: 'passed', message: 'Ready', pullRequest: { number: 7 } });
+
+        expect(send).not.toHaveBeenCalled();
+        expect(recorder.actions).toEqual([{ target: 'PR #7', request: 'notify Slack', reason: 'passed', body: 'Ready' }]);
+        expect(wrapNotifiers([{ name: 'Slack', send }], null)[0].send).toBe(send);
+    });
+
+    test('should write the recorded actions to the job summary', async () => {
+        recorder.actions.push({ target: 'PR #7', request: 'POST /x', reason: 'checks failed', body: '<b>Failed</b>' });
+
+        await writeDryRunSummary(recorder);
+
+        const [rows] = core.summary.addTable.mock.calls[0];
+        expect(rows[1]).toEqual(['PR #7', '<code>POST /x</code>', 'checks failed', '<pre>&lt;b&gt;Failed&lt;/b&gt;</pre>']);
+        expect(core.summary.write).toHaveBeenCalled();
+    });
+});
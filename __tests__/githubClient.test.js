@@ -0,0 +1,110 @@
+// __tests__/githubClient.test.js
+const { getOctokit } = require('@actions/github');
+const { createClientPlugin, createClientState, getPollInterval } = require('../src/githubClient');
+
+jest.mock('@actions/core');
+
+describe('GitHub Client', () => {
+    let state;
+    let fetch;
+
+    const reply = (status, body, headers = {}) => new Response(status === 304 ? null : JSON.stringify(body), {
+        status,
+        headers: {
+            'content-type': 'application/json',
+            'x-ratelimit-limit': '5000',
+            'x-ratelimit-remaining': '4000',
+            'x-ratelimit-reset': '1700000000',
+            ...headers
+        }
+    });
+
+    const createOctokit = () => getOctokit('token', { request: { fetch } }, createClientPlugin(state));
+
+    beforeEach(() => {
+        state = createClientState({ sleep: jest.fn().mockResolvedValue() });
+        fetch = jest.fn();
+    });
+
+    test('should reuse cached data when the server answers 304', async () => {
+        fetch
+            .mockResolvedValueOnce(reply(200, { statuses: ['cached'] }, { etag: '"abc"' }))
+            .mockResolvedValueOnce(reply(304));
+
+        const octokit = createOctokit();
+        const params = { owner: 'test-owner', repo: 'test-repo', ref: 'sha' };
+        await octokit.rest.repos.getCombinedStatusForRef(params);
+        const { data } = await octokit.rest.repos.getCombinedStatusForRef(params);
+
+        expect(data).toEqual({ statuses: ['cached'] });
+        expect(fetch.mock.calls[1][1].headers['if-none-match']).toBe('"abc"');
+    });
+
+    test('should retry server errors with exponential backoff', async () => {
+        fetch
+            .mockResolvedValueOnce(reply(502, { message: 'Bad gateway' }))
+            .mockResolvedValueOnce(reply(503, { message: 'Unavailable' }))
+            .mockResolvedValueOnce(reply(200, { check_runs: [] }));
+
+        const octokit = createOctokit();
+        const { data } = await octokit.rest.checks.listForRef({ owner: 'test-owner', repo: 'test-repo', ref: 'sha' });
+
+        expect(data).toEqual({ check_runs: [] });
+        expect(state.sleep.mock.calls).toEqual([[1000], [2000]]);
+    });
+
+    test('should not retry writes on server errors', async () => {
+        fetch.mockResolvedValueOnce(reply(502, { message: 'Bad gateway' }));
+
+        const octokit = createOctokit();
+        await expect(octokit.rest.issues.createComment({ owner: 'test-owner', repo: 'test-repo', issue_number: 1, body: 'hi' }))
+            .rejects.toMatchObject({ status: 502 });
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(state.sleep).not.toHaveBeenCalled();
+    });
+
+    test('should retry GraphQL queries but not mutations on server errors', async () => {
+        fetch
+            .mockResolvedValueOnce(reply(502, { message: 'Bad gateway' }))
+            .mockResolvedValueOnce(reply(200, { data: { viewer: { login: 'bot' } } }))
+            .mockResolvedValueOnce(reply(502, { message: 'Bad gateway' }));
+
+        const octokit = createOctokit();
+        await expect(octokit.graphql('query { viewer { login } }')).resolves.toEqual({ viewer: { login: 'bot' } });
+        await expect(octokit.graphql('mutation { addStar(input: { starrableId: "1" }) { clientMutationId } }'))
+            .rejects.toMatchObject({ status: 502 });
+        expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('should honour retry-after on secondary rate limits', async () => {
+        fetch
+            .mockResolvedValueOnce(reply(403, { message: 'You have exceeded a secondary rate limit' }, { 'retry-after': '7' }))
+            .mockResolvedValueOnce(reply(201, { id: 1 }));
+
+        const octokit = createOctokit();
+        await octokit.rest.issues.createComment({ owner: 'test-owner', repo: 'test-repo', issue_number: 1, body: 'hi' });
+
+        expect(state.sleep).toHaveBeenCalledWith(7000);
+    });
+
+    test('should not retry client errors', async () => {
+        fetch.mockResolvedValueOnce(reply(404, { message: 'Not Found' }));
+
+        const octokit = createOctokit();
+        await expect(octokit.rest.pulls.get({ owner: 'test-owner', repo: 'test-repo', pull_number: 1 }))
+            .rejects.toMatchObject({ status: 404 });
+        expect(state.sleep).not.toHaveBeenCalled();
+    });
+
+    test('should stretch the poll interval as the rate limit runs low', async () => {
+        fetch.mockResolvedValueOnce(reply(200, {}, { 'x-ratelimit-remaining': '500' }));
+
+        const octokit = createOctokit();
+        await octokit.rest.pulls.get({ owner: 'test-owner', repo: 'test-repo', pull_number: 1 });
+
+        expect(state.rateLimit).toEqual({ remaining: 500, limit: 5000, reset: 1700000000000 });
+        expect(getPollInterval(state, 30000)).toBe(150000);
+        expect(getPollInterval({ rateLimit: { remaining: 4000, limit: 5000 } }, 30000)).toBe(30000);
+        expect(getPollInterval({ rateLimit: { remaining: 0, limit: 5000, reset: 1000000 } }, 30000, 400000)).toBe(600000);
+    });
+});
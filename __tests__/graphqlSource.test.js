@@ -0,0 +1,120 @@
+// __tests__/graphqlSource.test.js
+const { PULL_REQUEST_STATE_QUERY, fetchPullRequestState } = require('../src/graphqlSource');
+const { evaluateReadiness } = require('../src/readiness');
+
+jest.mock('@actions/core');
+
+describe('GraphQL Source', () => {
+    const context = { repo: { owner: 'test-owner', repo: 'test-repo' } };
+
+    const page = (nodes, endCursor) => ({
+        repository: {
+            pullRequest: {
+                number: 123,
+                title: 'Add feature',
+                url: 'https://github.com/test-owner/test-repo/pull/123',
+                isDraft: false,
+                mergeable: 'MERGEABLE',
+                mergeStateStatus: 'CLEAN',
+                reviewDecision: 'APPROVED',
+                baseRefName: 'main',
+                headRefName: 'feature',
+                headRefOid: 'head-sha',
+                author: { login: 'octocat' },
+                labels: { nodes: [{ name: 'ready' }] },
+                latestOpinionatedReviews: { nodes: [{ state: 'APPROVED', author: { login: 'alice', databaseId: 1 } }] },
+                commits: {
+                    nodes: [{
+                        commit: {
+                            oid: 'head-sha',
+                            statusCheckRollup: {
+                                state: 'PENDING',
+                                contexts: {
+                                    pageInfo: { hasNextPage: Boolean(endCursor), endCursor },
+                                    nodes
+                                }
+                            }
+                        }
+                    }]
+                }
+            }
+        }
+    });
+
+    test('should page through rollup contexts and normalize them', async () => {
+        const mockOctokit = {
+            graphql: jest.fn()
+                .mockResolvedValueOnce(page([{
+                    __typename: 'CheckRun',
+                    databaseId: 11,
+                    name: 'build',
+                    status: 'COMPLETED',
+                    conclusion: 'SUCCESS',
+                    detailsUrl: 'https://example.com/build',
+                    startedAt: '2024-01-01T00:00:00Z',
+                    summary: 'ok',
+                    checkSuite: { databaseId: 5, app: { databaseId: 15368, slug: 'github-actions' } }
+                }], 'cursor-1'))
+                .mockResolvedValueOnce(page([{
+                    __typename: 'StatusContext',
+                    context: 'ci/legacy',
+                    state: 'SUCCESS',
+                    targetUrl: 'https://example.com/legacy',
+                    description: 'Passed',
+                    createdAt: '2024-01-01T00:00:00Z'
+                }], null))
+        };
+
+        const state = await fetchPullRequestState(mockOctokit, context, 123);
+
+        expect(mockOctokit.graphql).toHaveBeenCalledTimes(2);
+        expect(mockOctokit.graphql.mock.calls[1][1]).toEqual({
+            owner: 'test-owner',
+            repo: 'test-repo',
+            number: 123,
+            cursor: 'cursor-1'
+        });
+        expect(state.sha).toBe('head-sha');
+        expect(state.checkRuns).toEqual([expect.objectContaining({
+            id: 11,
+            name: 'build',
+            status: 'completed',
+            conclusion: 'success',
+            details_url: 'https://example.com/build',
+            app: { id: 15368, slug: 'github-actions' }
+        })]);
+        expect(state.statuses).toEqual([expect.objectContaining({ context: 'ci/legacy', state: 'success' })]);
+        expect(state.pr).toMatchObject({
+            mergeable: true,
+            mergeable_state: 'clean',
+            draft: false,
+            labels: [{ name: 'ready' }],
+            base: { ref: 'main' },
+            user: { login: 'octocat' }
+        });
+        expect(state.reviews).toEqual([{ user: { id: 1, login: 'alice' }, state: 'APPROVED' }]);
+    });
+
+    test('should keep an approval that was followed by a comment review', async () => {
+        // latestReviews would only return alice's later COMMENTED review
+        const mockOctokit = { graphql: jest.fn().mockResolvedValue(page([], null)) };
+
+        const state = await fetchPullRequestState(mockOctokit, context, 123);
+        const readiness = await evaluateReadiness(mockOctokit, context, state.pr, state.reviews);
+
+        expect(PULL_REQUEST_STATE_QUERY).toContain('latestOpinionatedReviews(first: 100)');
+        expect(PULL_REQUEST_STATE_QUERY).not.toContain('latestReviews');
+        expect(readiness.ready).toBe(true);
+    });
+
+    test('should handle commits without checks', async () => {
+        const response = page([], null);
+        response.repository.pullRequest.commits.nodes[0].commit.statusCheckRollup = null;
+        const mockOctokit = { graphql: jest.fn().mockResolvedValue(response) };
+
+        const state = await fetchPullRequestState(mockOctokit, context, 123);
+
+        expect(state.checkRuns).toEqual([]);
+        expect(state.statuses).toEqual([]);
+    });
+});
@@ -1,7 +1,7 @@
 // __tests__/index.test.js
 const core = require('@actions/core');
 const github = require('@actions/github');
-const { createMockOctokit } = require('./testUtils');
+const { createMockOctokit, mockPaginate } = require('./testUtils');
 
 // Mock the required modules
 jest.mock('@actions/core');
@@ -18,6 +18,7 @@ describe('PR Status Check Notifier', () => {
 
         // Mock Octokit instance
         mockOctokit = {
+            paginate: mockPaginate(),
             rest: {
                 checks: {
                     listForRef: jest.fn(),
@@ -33,6 +34,8 @@ describe('PR Status Check Notifier', () => {
                 },
                 repos: {
                     getCombinedStatusForRef: jest.fn(),
+                    getContent: jest.fn().mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 })),
+                    listPullRequestsAssociatedWithCommit: jest.fn(),
                 },
             },
         };
@@ -140,7 +143,8 @@ describe('PR Status Check Notifier', () => {
             expect(mockOctokit.rest.checks.listForRef).toHaveBeenCalledWith({
                 owner: 'test-owner',
                 repo: 'test-repo',
-                ref: 'test-sha'
+                ref: 'test-sha',
+                per_page: 100
             });
             
             // Clean up
@@ -178,6 +182,1101 @@ describe('PR Status Check Notifier', () => {
         expect(status.failed).toContain('failed-check');
     });
 
+    test('should report failure details', async () => {
+        mockOctokit.rest.checks.listForRef.mockResolvedValue({
+            data: {
+                check_runs: [{
+                    name: 'failed-check',
+                    status: 'completed',
+                    conclusion: 'failure',
+                    details_url: 'https://example.com/run/1',
+                    output: { summary: 'Tests failed' }
+                }]
+            }
+        });
+
+        mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({
+            data: {
+                statuses: [{
+                    context: 'ci/legacy',
+                    state: 'error',
+                    target_url: 'https://example.com/legacy',
+                    description: 'Build errored'
+                }]
+            }
+        });
+
+        const { checkStatus } = require('../src/index');
+        const status = await checkStatus(mockOctokit, github.context, []);
+
+        expect(status.sha).toBe('test-sha');
+        expect(status.failedDetails).toEqual([
+            { name: 'ci/legacy', conclusion: 'error', url: 'https://example.com/legacy', summary: 'Build errored' },
+            { name: 'failed-check', conclusion: 'failure', url: 'https://example.com/run/1', summary: 'Tests failed' }
+        ]);
+    });
+
+    test('should treat running commit statuses as pending', async () => {
+        mockOctokit.rest.checks.listForRef.mockResolvedValue({
+            data: { check_runs: [{ name: 'build', status: 'completed', conclusion: 'success' }] }
+        });
+        mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({
+            data: {
+                statuses: [
+                    { context: 'ci/jenkins', state: 'pending', description: 'Build started' },
+                    { context: 'ci/deploy', state: 'expected' }
+                ]
+            }
+        });
+
+        const { checkStatus } = require('../src/index');
+        const status = await checkStatus(mockOctokit, github.context, []);
+
+        expect(status).toMatchObject({
+            allCompleted: false,
+            allPassed: false,
+            passed: ['build'],
+            failed: [],
+            pending: ['ci/jenkins', 'ci/deploy'],
+            failedDetails: []
+        });
+        expect(status.checks[0]).toMatchObject({ name: 'ci/jenkins', state: 'pending', status: 'pending', conclusion: null });
+    });
+
+    test('should apply include and exclude patterns', async () => {
+        mockOctokit.rest.checks.listForRef.mockResolvedValue({
+            data: {
+                check_runs: [
+                    { name: 'lint', status: 'completed', conclusion: 'failure', app: { slug: 'github-actions' } },
+                    { name: 'lint-docs', status: 'completed', conclusion: 'success', app: { slug: 'github-actions' } },
+                    { name: 'apply', status: 'queued', conclusion: null, app: { slug: 'atlantis' } },
+                    { name: 'apply', status: 'completed', conclusion: 'success', app: { slug: 'github-actions' } },
+                    { name: 'deploy', status: 'queued', conclusion: null, app: { slug: 'github-actions' } }
+                ]
+            }
+        });
+
+        mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({
+            data: { statuses: [] }
+        });
+
+        const { checkStatus } = require('../src/index');
+        const status = await checkStatus(mockOctokit, github.context, ['lint', 'atlantis:apply'], {
+            includedChecks: ['lint*', 'apply']
+        });
+
+        expect(status.passed).toEqual(['lint-docs', 'apply']);
+        expect(status.failed).toEqual([]);
+        expect(status.pending).toEqual([]);
+        expect(core.info).toHaveBeenCalledWith('Excluding check: lint [github-actions] (matched "lint")');
+        expect(core.info).toHaveBeenCalledWith('Ignoring check: deploy [github-actions] (no included-checks pattern matched)');
+    });
+
+    test('should only wait on required checks', async () => {
+        mockOctokit.rest.checks.listForRef.mockResolvedValue({
+            data: {
+                check_runs: [
+                    { name: 'build', status: 'completed', conclusion: 'success', app: { id: 1 } },
+                    { name: 'optional', status: 'completed', conclusion: 'failure', app: { id: 1 } }
+                ]
+            }
+        });
+
+        mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({
+            data: { statuses: [] }
+        });
+
+        const { checkStatus } = require('../src/index');
+        const status = await checkStatus(mockOctokit, github.context, [], {
+            requiredChecks: [
+                { name: 'build', appId: null },
+                { name: 'deploy-preview', appId: null }
+            ]
+        });
+
+        expect(status.passed).toEqual(['build']);
+        expect(status.failed).toEqual([]);
+        expect(status.pending).toEqual(['deploy-preview']);
+        expect(status.missing).toEqual(['deploy-preview']);
+        expect(status.allPassed).toBe(false);
+    });
+
+    test('should not wait on an excluded required check such as the ready check', async () => {
+        mockOctokit.rest.checks.listForRef.mockResolvedValue({
+            data: { check_runs: [{ name: 'build', status: 'completed', conclusion: 'success', app: { id: 1 } }] }
+        });
+        mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({
+            data: { statuses: [] }
+        });
+
+        const { checkStatus } = require('../src/index');
+        const status = await checkStatus(mockOctokit, github.context, ['pr-notifier/ready'], {
+            requiredChecks: [
+                { name: 'build', appId: null },
+                { name: 'pr-notifier/ready', appId: null }
+            ]
+        });
+
+        expect(status).toMatchObject({ allPassed: true, passed: ['build'], pending: [], missing: [] });
+    });
+
+    test('should evaluate GraphQL data with the same rules', async () => {
+        mockOctokit.graphql = jest.fn().mockResolvedValue({
+            repository: {
+                pullRequest: {
+                    number: 123,
+                    isDraft: false,
+                    mergeable: 'MERGEABLE',
+                    mergeStateStatus: 'CLEAN',
+                    baseRefName: 'main',
+                    headRefOid: 'graphql-sha',
+                    labels: { nodes: [] },
+                    latestOpinionatedReviews: { nodes: [{ state: 'APPROVED', author: { login: 'alice', databaseId: 1 } }] },
+                    commits: {
+                        nodes: [{
+                            commit: {
+                                statusCheckRollup: {
+                                    contexts: {
+                                        pageInfo: { hasNextPage: false, endCursor: null },
+                                        nodes: [
+                                            { __typename: 'CheckRun', name: 'build', status: 'COMPLETED', conclusion: 'SUCCESS' },
+                                            { __typename: 'CheckRun', name: 'notify-check', status: 'IN_PROGRESS', conclusion: null }
+                                        ]
+                                    }
+                                }
+                            }
+                        }]
+                    }
+                }
+            }
+        });
+
+        const { checkStatusGraphQL, isPRMergeable } = require('../src/index');
+        const status = await checkStatusGraphQL(mockOctokit, github.context, 123, ['notify-check']);
+
+        expect(status).toMatchObject({ sha: 'graphql-sha', allPassed: true, passed: ['build'], pending: [] });
+        expect(await isPRMergeable(mockOctokit, github.context, 123, undefined, status.prState)).toBe(true);
+        expect(mockOctokit.rest.checks.listForRef).not.toHaveBeenCalled();
+        expect(mockOctokit.rest.pulls.get).not.toHaveBeenCalled();
+        expect(mockOctokit.rest.pulls.listReviews).not.toHaveBeenCalled();
+    });
+
+    test('should page through statuses and ignore superseded attempts', async () => {
+        mockOctokit.rest.checks.listForRef.mockResolvedValue({
+            data: {
+                check_runs: [
+                    { id: 2, name: 'build', status: 'completed', conclusion: 'success', check_suite: { id: 1 } },
+                    { id: 1, name: 'build', status: 'completed', conclusion: 'failure', check_suite: { id: 1 } }
+                ]
+            }
+        });
+        mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({
+            data: { statuses: [{ context: 'ci/legacy', state: 'success' }] }
+        });
+
+        const { checkStatus } = require('../src/index');
+        const status = await checkStatus(mockOctokit, github.context, []);
+
+        expect(status).toMatchObject({ allPassed: true, passed: ['ci/legacy', 'build'], failed: [] });
+        expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.repos.getCombinedStatusForRef, {
+            owner: 'test-owner',
+            repo: 'test-repo',
+            ref: 'test-sha',
+            per_page: 100
+        }, expect.any(Function));
+    });
+
+    test('should keep the PR pending until expected checks report', async () => {
+        mockOctokit.rest.checks.listForRef.mockResolvedValue({
+            data: { check_runs: [{ name: 'build', status: 'completed', conclusion: 'success' }] }
+        });
+        mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({ data: { statuses: [] } });
+
+        const { checkStatus } = require('../src/index');
+        const status = await checkStatus(mockOctokit, github.context, [], {
+            expectedChecks: ['build', 'deploy-*']
+        });
+
+        expect(status).toMatchObject({
+            allPassed: false,
+            allCompleted: false,
+            passed: ['build'],
+            pending: ['deploy-*'],
+            missing: ['deploy-*']
+        });
+    });
+
+    describe('Failure Notifications', () => {
+        const failures = [{
+            name: 'failed-check',
+            conclusion: 'failure',
+            url: 'https://example.com/run/1',
+            summary: 'Tests failed'
+        }];
+
+        test('should post failure comment with check details', async () => {
+            mockOctokit.rest.issues.listComments.mockResolvedValue({ data: [] });
+
+            const { buildFailureMessage, createFailureComment } = require('../src/index');
+            const message = buildFailureMessage('Checks failed', 'abcdef1234', failures);
+            const sent = await createFailureComment(mockOctokit, github.context, 123, 'abcdef1234', message);
+
+            expect(sent).toBe(true);
+            const { body } = mockOctokit.rest.issues.createComment.mock.calls[0][0];
+            expect(body).toContain('Checks failed');
+            expect(body).toContain('[failed-check](https://example.com/run/1): `failure`');
+            expect(body).toContain('> Tests failed');
+            expect(body).toContain('<!-- pr-status-check-notifier:failure:pr-123:abcdef1234 -->');
+        });
+
+        test('should not report the same head SHA twice', async () => {
+            mockOctokit.rest.issues.listComments.mockResolvedValue({
+                data: [{ body: 'Old report\n<!-- pr-status-check-notifier:failure:pr-123:abcdef1234 -->' }]
+            });
+
+            const { createFailureComment } = require('../src/index');
+            const sent = await createFailureComment(mockOctokit, github.context, 123, 'abcdef1234', 'Checks failed');
+
+            expect(sent).toBe(false);
+            expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+        });
+
+        test('should report again for a new head SHA', async () => {
+            mockOctokit.rest.issues.listComments.mockResolvedValue({
+                data: [{ body: 'Old report\n<!-- pr-status-check-notifier:failure:pr-123:abcdef1234 -->' }]
+            });
+
+            const { createFailureComment } = require('../src/index');
+            const sent = await createFailureComment(mockOctokit, github.context, 123, '9876543210', 'Checks failed');
+
+            expect(sent).toBe(true);
+            expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('Stalled Checks', () => {
+        const startedAt = new Date(Date.now() - 20 * 60 * 1000).toISOString();
+
+        beforeEach(() => {
+            require('../src/notificationStore').notifications.clear();
+            github.context = {
+                repo: { owner: 'test-owner', repo: 'test-repo' },
+                eventName: 'check_run',
+                payload: {
+                    check_run: { head_sha: 'pr-sha', pull_requests: [{ number: 7, head: { sha: 'pr-sha' } }] }
+                }
+            };
+            core.getInput.mockImplementation((name) => {
+                switch(name) {
+                    case 'github-token': return 'mock-token';
+                    case 'mode': return 'event';
+                    case 'stall-threshold': return '15';
+                    default: return '';
+                }
+            });
+            mockOctokit.rest.pulls.get.mockResolvedValue({
+                data: { number: 7, head: { sha: 'pr-sha' }, base: { ref: 'main' }, labels: [] }
+            });
+            mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({ data: { statuses: [] } });
+            mockOctokit.rest.checks.listForRef.mockResolvedValue({
+                data: {
+                    check_runs: [
+                        { name: 'deploy', status: 'queued', conclusion: null, started_at: startedAt },
+                        { name: 'lint', status: 'in_progress', conclusion: null, started_at: new Date().toISOString() }
+                    ]
+                }
+            });
+        });
+
+        test('should list pending checks with how long they have waited', () => {
+            const { buildPendingMessage } = require('../src/index');
+            const message = buildPendingMessage('Timed out', 'abcdef1234', [
+                { name: 'deploy', url: 'https://example.com/deploy', status: 'queued', waiting: '20m 0s' },
+                { name: 'security', status: 'not reported', waiting: null }
+            ]);
+
+            expect(message).toBe([
+                'Timed out',
+                '',
+                'Still pending on abcdef1:',
+                '',
+                '- [deploy](https://example.com/deploy): queued for 20m 0s',
+                '- security: not reported'
+            ].join('\n'));
+        });
+
+        test('should list expected checks that never reported separately', () => {
+            const { buildPendingMessage } = require('../src/index');
+            const message = buildPendingMessage('Timed out', 'abcdef1234', [
+                { name: 'build', status: 'in progress', waiting: '2m 0s', reported: true },
+                { name: 'deploy-*', status: 'not reported', waiting: null, reported: false }
+            ]);
+
+            expect(message).toBe([
+                'Timed out',
+                '',
+                'Still pending on abcdef1:',
+                '',
+                '- build: in progress for 2m 0s',
+                '',
+                'Never reported on abcdef1:',
+                '',
+                '- deploy-*'
+            ].join('\n'));
+        });
+
+        test('should flag checks pending past the stall threshold once', async () => {
+            mockOctokit.rest.issues.listComments.mockResolvedValue({ data: [] });
+
+            const { run } = require('../src/index');
+            await run();
+
+            expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledTimes(1);
+            const { body } = mockOctokit.rest.issues.createComment.mock.calls[0][0];
+            expect(body).toContain('1 check(s) look stuck');
+            expect(body).toMatch(/- deploy: queued for 20m \d+s/);
+            expect(body).not.toContain('lint');
+            expect(body).toContain('<!-- pr-status-check-notifier:stall-deploy:pr-7:pr-sha -->');
+            expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('Check "deploy" looks stuck'));
+
+            await run();
+            expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledTimes(1);
+        });
+
+        test('should reject an invalid stall threshold', async () => {
+            core.getInput.mockImplementation((name) => {
+                switch(name) {
+                    case 'github-token': return 'mock-token';
+                    case 'stall-threshold': return 'soon';
+                    default: return '';
+                }
+            });
+
+            const { run } = require('../src/index');
+            await run();
+
+            expect(core.setFailed).toHaveBeenCalledWith('Invalid stall-threshold: soon');
+        });
+    });
+
+    describe('Event Mode', () => {
+        beforeEach(() => {
+            require('../src/notificationStore').notifications.clear();
+            github.context = {
+                repo: { owner: 'test-owner', repo: 'test-repo' },
+                sha: 'default-branch-sha',
+                eventName: 'check_suite',
+                actor: 'test-user',
+                payload: {
+                    check_suite: {
+                        head_sha: 'pr-sha',
+                        pull_requests: [{ number: 7, head: { sha: 'pr-sha' } }]
+                    }
+                }
+            };
+        });
+
+        test('should resolve PRs embedded in the payload', async () => {
+            const { resolveEventPullRequests } = require('../src/index');
+            const targets = await resolveEventPullRequests(mockOctokit, github.context);
+
+            expect(targets).toEqual([{ number: 7, sha: 'pr-sha' }]);
+            expect(mockOctokit.rest.repos.listPullRequestsAssociatedWithCommit).not.toHaveBeenCalled();
+        });
+
+        test('should fall back to a commit lookup and skip stale PRs', async () => {
+            github.context.eventName = 'status';
+            github.context.payload = { sha: 'pr-sha' };
+            mockOctokit.rest.repos.listPullRequestsAssociatedWithCommit.mockResolvedValue({
+                data: [
+                    { number: 7, state: 'open', head: { sha: 'pr-sha' } },
+                    { number: 8, state: 'open', head: { sha: 'newer-sha' } },
+                    { number: 9, state: 'closed', head: { sha: 'pr-sha' } }
+                ]
+            });
+
+            const { resolveEventPullRequests } = require('../src/index');
+            const targets = await resolveEventPullRequests(mockOctokit, github.context);
+
+            expect(targets).toEqual([{ number: 7, sha: 'pr-sha' }]);
+            expect(mockOctokit.rest.repos.listPullRequestsAssociatedWithCommit).toHaveBeenCalledWith({
+                owner: 'test-owner',
+                repo: 'test-repo',
+                commit_sha: 'pr-sha'
+            });
+        });
+
+        test('should evaluate once and notify when green', async () => {
+            core.getInput.mockImplementation((name) => {
+                switch(name) {
+                    case 'github-token': return 'mock-token';
+                    case 'mode': return 'event';
+                    case 'notification-message': return 'Ready!';
+                    default: return '';
+                }
+            });
+            mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({ data: { statuses: [] } });
+            mockOctokit.rest.checks.listForRef.mockResolvedValue({
+                data: { check_runs: [{ name: 'build', status: 'completed', conclusion: 'success' }] }
+            });
+            mockOctokit.rest.pulls.get.mockResolvedValue({
+                data: { mergeable: true, mergeable_state: 'clean', head: { sha: 'pr-sha' }, base: { ref: 'main' } }
+            });
+            mockOctokit.rest.pulls.listReviews.mockResolvedValue({ data: [{ user: { id: 1 }, state: 'APPROVED' }] });
+            mockOctokit.rest.issues.listComments.mockResolvedValue({ data: [] });
+
+            const { run } = require('../src/index');
+            await run();
+
+            expect(mockOctokit.rest.checks.listForRef).toHaveBeenCalledWith({
+                owner: 'test-owner',
+                repo: 'test-repo',
+                ref: 'pr-sha',
+                per_page: 100
+            });
+            expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith({
+                owner: 'test-owner',
+                repo: 'test-repo',
+                issue_number: 7,
+                body: 'Ready!\n\n<!-- pr-status-check-notifier:success:pr-7:pr-sha -->'
+            });
+            expect(core.setOutput).toHaveBeenCalledWith('state', 'passed');
+            expect(core.setOutput).toHaveBeenCalledWith('pr-number', '7');
+            expect(core.setOutput).toHaveBeenCalledWith('passed-checks', '["build"]');
+            expect(core.setOutput).toHaveBeenCalledWith('notified', 'true');
+            expect(core.setFailed).not.toHaveBeenCalled();
+        });
+
+        test('should apply the config file from the base branch', async () => {
+            core.getInput.mockImplementation((name) => {
+                switch(name) {
+                    case 'github-token': return 'mock-token';
+                    case 'mode': return 'event';
+                    case 'notification-message': return 'Ready!';
+                    default: return '';
+                }
+            });
+            const config = [
+                'min-approvals: 0',
+                'overrides:',
+                '  - labels: [hotfix]',
+                "    notification-message: 'Hotfix ready, @{{author}}'"
+            ].join('\n');
+            mockOctokit.rest.repos.getContent.mockResolvedValue({
+                data: { content: Buffer.from(config).toString('base64'), encoding: 'base64' }
+            });
+            mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({ data: { statuses: [] } });
+            mockOctokit.rest.checks.listForRef.mockResolvedValue({
+                data: { check_runs: [{ name: 'build', status: 'completed', conclusion: 'success' }] }
+            });
+            mockOctokit.rest.pulls.get.mockResolvedValue({
+                data: {
+                    mergeable: true,
+                    mergeable_state: 'clean',
+                    user: { login: 'octocat' },
+                    labels: [{ name: 'hotfix' }],
+                    head: { sha: 'pr-sha' },
+                    base: { ref: 'config-branch' }
+                }
+            });
+            mockOctokit.rest.pulls.listReviews.mockResolvedValue({ data: [] });
+            mockOctokit.rest.issues.listComments.mockResolvedValue({ data: [] });
+
+            const { run } = require('../src/index');
+            await run();
+
+            expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith({
+                owner: 'test-owner',
+                repo: 'test-repo',
+                path: '.github/pr-notifier.yml',
+                ref: 'config-branch'
+            });
+            expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({
+                body: 'Hotfix ready, @octocat\n\n<!-- pr-status-check-notifier:success:pr-7:pr-sha -->'
+            }));
+        });
+
+        test('should not notify when a newer commit was pushed meanwhile', async () => {
+            core.getInput.mockImplementation((name) => {
+                switch(name) {
+                    case 'github-token': return 'mock-token';
+                    case 'mode': return 'event';
+                    default: return '';
+                }
+            });
+            mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({ data: { statuses: [] } });
+            mockOctokit.rest.checks.listForRef.mockResolvedValue({
+                data: { check_runs: [{ name: 'build', status: 'completed', conclusion: 'success' }] }
+            });
+            mockOctokit.rest.pulls.get.mockResolvedValue({
+                data: { mergeable: true, mergeable_state: 'clean', head: { sha: 'newer-sha' }, base: { ref: 'main' } }
+            });
+
+            const { run } = require('../src/index');
+            await run();
+
+            expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+            expect(core.setOutput).toHaveBeenCalledWith('state', 'superseded');
+        });
+
+        test('should ping reviewers when only reviews are missing', async () => {
+            core.getInput.mockImplementation((name) => {
+                switch(name) {
+                    case 'github-token': return 'mock-token';
+                    case 'mode': return 'event';
+                    case 'notify-reviewers': return 'true';
+                    case 'review-message': return '{{recipients}} please review {{shortSha}}';
+                    default: return '';
+                }
+            });
+            mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({ data: { statuses: [] } });
+            mockOctokit.rest.checks.listForRef.mockResolvedValue({
+                data: { check_runs: [{ name: 'build', status: 'completed', conclusion: 'success' }] }
+            });
+            mockOctokit.rest.pulls.get.mockResolvedValue({
+                data: {
+                    number: 7,
+                    mergeable: true,
+                    mergeable_state: 'blocked',
+                    user: { login: 'octocat' },
+                    requested_reviewers: [{ login: 'alice' }],
+                    requested_teams: [{ slug: 'core' }],
+                    head: { sha: 'pr-sha' },
+                    base: { ref: 'main' }
+                }
+            });
+            mockOctokit.rest.pulls.listReviews.mockResolvedValue({ data: [] });
+            mockOctokit.rest.issues.listComments.mockResolvedValue({ data: [] });
+
+            const { run } = require('../src/index');
+            await run();
+
+            expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledTimes(1);
+            expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({
+                issue_number: 7,
+                body: '@alice, @test-owner/core please review pr-sha\n\n<!-- pr-status-check-notifier:review:pr-7:pr-sha -->'
+            }));
+            expect(core.setOutput).toHaveBeenCalledWith('state', 'not-mergeable');
+            expect(core.setOutput).toHaveBeenCalledWith('notified', 'true');
+        });
+
+        test('should publish the ready check without waiting on it', async () => {
+            core.getInput.mockImplementation((name) => {
+                switch(name) {
+                    case 'github-token': return 'mock-token';
+                    case 'mode': return 'event';
+                    case 'notification-message': return 'Ready!';
+                    case 'ready-check': return 'check-run';
+                    default: return '';
+                }
+            });
+            mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({ data: { statuses: [] } });
+            mockOctokit.rest.checks.listForRef.mockImplementation(({ check_name: checkName }) => Promise.resolve({
+                data: {
+                    check_runs: checkName
+                        ? [{ id: 5 }]
+                        : [
+                            { id: 4, name: 'build', status: 'completed', conclusion: 'success' },
+                            { id: 5, name: 'pr-notifier/ready', status: 'in_progress', conclusion: null }
+                        ]
+                }
+            }));
+            mockOctokit.rest.checks.update = jest.fn().mockResolvedValue({ data: {} });
+            mockOctokit.rest.pulls.get.mockResolvedValue({
+                data: { mergeable: true, mergeable_state: 'clean', head: { sha: 'pr-sha' }, base: { ref: 'main' } }
+            });
+            mockOctokit.rest.pulls.listReviews.mockResolvedValue({ data: [{ user: { id: 1 }, state: 'APPROVED' }] });
+            mockOctokit.rest.issues.listComments.mockResolvedValue({ data: [] });
+
+            const { run } = require('../src/index');
+            await run();
+
+            expect(core.setOutput).toHaveBeenCalledWith('state', 'passed');
+            expect(core.setOutput).toHaveBeenCalledWith('passed-checks', '["build"]');
+            expect(mockOctokit.rest.checks.update).toHaveBeenCalledWith(expect.objectContaining({
+                check_run_id: 5,
+                status: 'completed',
+                conclusion: 'success'
+            }));
+        });
+
+        test('should not let a required ready check block its own verdict', async () => {
+            core.getInput.mockImplementation((name) => {
+                switch(name) {
+                    case 'github-token': return 'mock-token';
+                    case 'mode': return 'event';
+                    case 'notification-message': return 'Ready!';
+                    case 'ready-check': return 'check-run';
+                    default: return '';
+                }
+            });
+            mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({ data: { statuses: [] } });
+            mockOctokit.rest.checks.listForRef.mockImplementation(({ check_name: checkName }) => Promise.resolve({
+                data: {
+                    check_runs: checkName
+                        ? [{ id: 5 }]
+                        : [
+                            { id: 4, name: 'build', status: 'completed', conclusion: 'success' },
+                            { id: 5, name: 'pr-notifier/ready', status: 'in_progress', conclusion: null }
+                        ]
+                }
+            }));
+            mockOctokit.rest.checks.update = jest.fn().mockResolvedValue({ data: {} });
+            // Branch protection requires the in-progress ready check
+            mockOctokit.rest.repos.getBranchProtection = jest.fn().mockResolvedValue({
+                data: { required_status_checks: { contexts: ['build', 'pr-notifier/ready'] } }
+            });
+            mockOctokit.rest.repos.getBranchRules = jest.fn().mockResolvedValue({ data: [] });
+            mockOctokit.graphql = jest.fn().mockResolvedValue({ repository: { pullRequest: { reviewDecision: 'APPROVED' } } });
+            mockOctokit.rest.pulls.get.mockResolvedValue({
+                data: { mergeable: true, mergeable_state: 'blocked', head: { sha: 'pr-sha' }, base: { ref: 'main' } }
+            });
+            mockOctokit.rest.pulls.listReviews.mockResolvedValue({ data: [{ user: { id: 1 }, state: 'APPROVED' }] });
+            mockOctokit.rest.issues.listComments.mockResolvedValue({ data: [] });
+
+            const { run } = require('../src/index');
+            await run();
+
+            expect(core.setOutput).toHaveBeenCalledWith('state', 'passed');
+            expect(mockOctokit.rest.checks.update).toHaveBeenCalledWith(expect.objectContaining({
+                check_run_id: 5,
+                status: 'completed',
+                conclusion: 'success'
+            }));
+        });
+
+        const mockMergeablePR = (sha) => {
+            core.getInput.mockImplementation((name) => {
+                switch(name) {
+                    case 'github-token': return 'mock-token';
+                    case 'mode': return 'event';
+                    case 'notification-message': return 'Ready!';
+                    case 'ready-check': return 'check-run';
+                    case 'auto-merge': return 'merge';
+                    case 'auto-merge-label': return 'automerge';
+                    case 'merge-method': return 'squash';
+                    default: return '';
+                }
+            });
+            github.context.payload.check_suite = {
+                head_sha: sha,
+                pull_requests: [{ number: 7, head: { sha } }]
+            };
+            mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({ data: { statuses: [] } });
+            mockOctokit.rest.checks.listForRef.mockImplementation(({ check_name: checkName }) => Promise.resolve({
+                data: {
+                    check_runs: checkName
+                        ? [{ id: 5 }]
+                        : [
+                            { id: 4, name: 'build', status: 'completed', conclusion: 'success' },
+                            { id: 5, name: 'pr-notifier/ready', status: 'in_progress', conclusion: null }
+                        ]
+                }
+            }));
+            mockOctokit.rest.checks.update = jest.fn().mockResolvedValue({ data: {} });
+            mockOctokit.rest.repos.getBranchProtection = jest.fn().mockResolvedValue({
+                data: { required_status_checks: { contexts: ['build', 'pr-notifier/ready'] } }
+            });
+            mockOctokit.rest.repos.getBranchRules = jest.fn().mockResolvedValue({ data: [] });
+            mockOctokit.graphql = jest.fn().mockResolvedValue({ repository: { pullRequest: { reviewDecision: 'APPROVED' } } });
+            mockOctokit.rest.pulls.get.mockResolvedValue({
+                data: {
+                    number: 7,
+                    mergeable: true,
+                    mergeable_state: 'blocked',
+                    labels: [{ name: 'automerge' }],
+                    head: { sha },
+                    base: { ref: 'main' }
+                }
+            });
+            mockOctokit.rest.pulls.merge = jest.fn().mockResolvedValue({ data: { merged: true } });
+            mockOctokit.rest.pulls.listReviews.mockResolvedValue({ data: [{ user: { id: 1 }, state: 'APPROVED' }] });
+        };
+
+        test('should not put a block by reviews down to the ready check', async () => {
+            mockMergeablePR('review-sha');
+            mockOctokit.graphql.mockResolvedValue({ repository: { pullRequest: { reviewDecision: 'REVIEW_REQUIRED' } } });
+            mockOctokit.rest.issues.listComments.mockResolvedValue({ data: [] });
+
+            const { run } = require('../src/index');
+            await run();
+
+            expect(core.setOutput).toHaveBeenCalledWith('state', 'not-mergeable');
+            expect(mockOctokit.rest.checks.update).toHaveBeenCalledWith(expect.objectContaining({ conclusion: 'action_required' }));
+            expect(mockOctokit.rest.pulls.merge).not.toHaveBeenCalled();
+            expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+        });
+
+        test('should merge ready PRs after publishing the verdict', async () => {
+            mockMergeablePR('pr-sha');
+            mockOctokit.rest.issues.listComments.mockResolvedValue({ data: [] });
+
+            const { run } = require('../src/index');
+            await run();
+
+            expect(mockOctokit.rest.pulls.merge).toHaveBeenCalledWith(expect.objectContaining({
+                pull_number: 7,
+                sha: 'pr-sha',
+                merge_method: 'squash'
+            }));
+            // A required ready check has to be green before GitHub accepts the merge
+            expect(mockOctokit.rest.checks.update).toHaveBeenCalledWith(expect.objectContaining({ conclusion: 'success' }));
+            expect(mockOctokit.rest.checks.update.mock.invocationCallOrder[0])
+                .toBeLessThan(mockOctokit.rest.pulls.merge.mock.invocationCallOrder[0]);
+            expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({
+                body: 'Ready!\n\n<!-- pr-status-check-notifier:success:pr-7:pr-sha -->'
+            }));
+            expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({
+                body: '🚀 Merged (squash).\n\n<!-- pr-status-check-notifier:merge:pr-7:pr-sha -->'
+            }));
+            expect(core.setOutput).toHaveBeenCalledWith('merge-result', 'merged');
+        });
+
+        test('should not retry a merge that was already attempted', async () => {
+            mockMergeablePR('retry-sha');
+            mockOctokit.rest.issues.listComments.mockResolvedValue({
+                data: [
+                    { body: 'Ready!\n\n<!-- pr-status-check-notifier:success:pr-7:retry-sha -->' },
+                    { body: '⚠️ Auto-merge failed: Base branch was modified\n\n<!-- pr-status-check-notifier:merge:pr-7:retry-sha -->' }
+                ]
+            });
+
+            const { run } = require('../src/index');
+            await run();
+
+            expect(core.setOutput).toHaveBeenCalledWith('state', 'passed');
+            expect(mockOctokit.rest.pulls.merge).not.toHaveBeenCalled();
+            expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+            expect(core.setOutput).toHaveBeenCalledWith('merge-result', '');
+        });
+
+        test('should label the PR with its CI state', async () => {
+            core.getInput.mockImplementation((name) => {
+                switch(name) {
+                    case 'github-token': return 'mock-token';
+                    case 'mode': return 'event';
+                    case 'pending-label': return 'ci: pending';
+                    case 'failed-label': return 'ci: failed';
+                    default: return '';
+                }
+            });
+            mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({ data: { statuses: [] } });
+            mockOctokit.rest.checks.listForRef.mockResolvedValue({
+                data: { check_runs: [{ name: 'build', status: 'completed', conclusion: 'failure' }] }
+            });
+            mockOctokit.rest.pulls.get.mockResolvedValue({
+                data: { mergeable: true, mergeable_state: 'clean', head: { sha: 'label-sha' }, base: { ref: 'main' } }
+            });
+            github.context.payload.check_suite = {
+                head_sha: 'label-sha',
+                pull_requests: [{ number: 7, head: { sha: 'label-sha' } }]
+            };
+            mockOctokit.rest.issues.listLabelsOnIssue = jest.fn().mockResolvedValue({ data: [{ name: 'ci: pending' }] });
+            mockOctokit.rest.issues.getLabel = jest.fn().mockResolvedValue({ data: {} });
+            mockOctokit.rest.issues.addLabels = jest.fn().mockResolvedValue({ data: [] });
+            mockOctokit.rest.issues.removeLabel = jest.fn().mockResolvedValue({ data: [] });
+
+            const { run } = require('../src/index');
+            await run();
+
+            expect(core.setOutput).toHaveBeenCalledWith('state', 'failed');
+            expect(mockOctokit.rest.issues.addLabels).toHaveBeenCalledWith({
+                owner: 'test-owner',
+                repo: 'test-repo',
+                issue_number: 7,
+                labels: ['ci: failed']
+            });
+            expect(mockOctokit.rest.issues.removeLabel).toHaveBeenCalledWith({
+                owner: 'test-owner',
+                repo: 'test-repo',
+                issue_number: 7,
+                name: 'ci: pending'
+            });
+        });
+
+        test('should stay quiet on PRs with the opt-out label', async () => {
+            core.getInput.mockImplementation((name) => {
+                switch(name) {
+                    case 'github-token': return 'mock-token';
+                    case 'mode': return 'event';
+                    case 'notification-message': return 'Ready!';
+                    case 'opt-out-label': return 'no-notify';
+                    default: return '';
+                }
+            });
+            mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({ data: { statuses: [] } });
+            mockOctokit.rest.checks.listForRef.mockResolvedValue({
+                data: { check_runs: [{ name: 'build', status: 'completed', conclusion: 'success' }] }
+            });
+            mockOctokit.rest.pulls.get.mockResolvedValue({
+                data: {
+                    mergeable: true,
+                    mergeable_state: 'clean',
+                    labels: [{ name: 'no-notify' }],
+                    head: { sha: 'pr-sha' },
+                    base: { ref: 'main' }
+                }
+            });
+            mockOctokit.rest.pulls.listReviews.mockResolvedValue({ data: [{ user: { id: 1 }, state: 'APPROVED' }] });
+            mockOctokit.rest.issues.listComments.mockResolvedValue({ data: [] });
+
+            const { run } = require('../src/index');
+            await run();
+
+            expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+            expect(core.setOutput).toHaveBeenCalledWith('state', 'passed');
+            expect(core.setOutput).toHaveBeenCalledWith('notified', 'false');
+        });
+
+        test('should not report an unready opt-out PR as passed', async () => {
+            core.getInput.mockImplementation((name) => {
+                switch(name) {
+                    case 'github-token': return 'mock-token';
+                    case 'mode': return 'event';
+                    case 'notification-message': return 'Ready!';
+                    case 'opt-out-label': return 'no-notify';
+                    case 'ready-check': return 'commit-status';
+                    default: return '';
+                }
+            });
+            mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({ data: { statuses: [] } });
+            mockOctokit.rest.checks.listForRef.mockResolvedValue({
+                data: { check_runs: [{ name: 'build', status: 'completed', conclusion: 'success' }] }
+            });
+            mockOctokit.rest.repos.createCommitStatus = jest.fn().mockResolvedValue({ data: {} });
+            mockOctokit.rest.pulls.get.mockResolvedValue({
+                data: {
+                    mergeable: true,
+                    mergeable_state: 'blocked',
+                    labels: [{ name: 'no-notify' }],
+                    head: { sha: 'opt-out-sha' },
+                    base: { ref: 'main' }
+                }
+            });
+            github.context.payload.check_suite = {
+                head_sha: 'opt-out-sha',
+                pull_requests: [{ number: 7, head: { sha: 'opt-out-sha' } }]
+            };
+            mockOctokit.rest.pulls.listReviews.mockResolvedValue({ data: [] });
+            mockOctokit.rest.issues.listComments.mockResolvedValue({ data: [] });
+
+            const { run } = require('../src/index');
+            await run();
+
+            expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+            expect(core.setOutput).toHaveBeenCalledWith('state', 'not-mergeable');
+            expect(mockOctokit.rest.repos.createCommitStatus).toHaveBeenCalledWith(expect.objectContaining({
+                sha: 'opt-out-sha',
+                state: 'pending'
+            }));
+        });
+
+        test('should re-check readiness after the sticky comment pinged', async () => {
+            core.getInput.mockImplementation((name) => {
+                switch(name) {
+                    case 'github-token': return 'mock-token';
+                    case 'mode': return 'event';
+                    case 'sticky-comment': return 'true';
+                    case 'ready-check': return 'commit-status';
+                    default: return '';
+                }
+            });
+            mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({ data: { statuses: [] } });
+            mockOctokit.rest.checks.listForRef.mockResolvedValue({
+                data: { check_runs: [{ name: 'build', status: 'completed', conclusion: 'success' }] }
+            });
+            mockOctokit.rest.repos.createCommitStatus = jest.fn().mockResolvedValue({ data: {} });
+            mockOctokit.rest.issues.updateComment = jest.fn().mockResolvedValue({ data: {} });
+            // The approval was dismissed after the success ping
+            mockOctokit.rest.pulls.get.mockResolvedValue({
+                data: { mergeable: true, mergeable_state: 'blocked', head: { sha: 'sticky-sha' }, base: { ref: 'main' } }
+            });
+            github.context.payload.check_suite = {
+                head_sha: 'sticky-sha',
+                pull_requests: [{ number: 7, head: { sha: 'sticky-sha' } }]
+            };
+            mockOctokit.rest.pulls.listReviews.mockResolvedValue({ data: [] });
+            mockOctokit.rest.issues.listComments.mockResolvedValue({
+                data: [{
+                    id: 42,
+                    body: 'Old table\n<!-- pr-status-check-notifier:sticky -->\n<!-- pr-status-check-notifier:success:pr-7:sticky-sha -->'
+                }]
+            });
+
+            const { run } = require('../src/index');
+            await run();
+
+            expect(core.setOutput).toHaveBeenCalledWith('state', 'not-mergeable');
+            expect(mockOctokit.rest.repos.createCommitStatus).toHaveBeenCalledWith(expect.objectContaining({ state: 'pending' }));
+            // The marker stays, so channels aren't pinged twice once it is ready again
+            expect(mockOctokit.rest.issues.updateComment.mock.calls[0][0].body)
+                .toContain('<!-- pr-status-check-notifier:success:pr-7:sticky-sha -->');
+        });
+
+        test('should install the dry-run plugin and summarize', async () => {
+            core.getInput.mockImplementation((name) => {
+                switch(name) {
+                    case 'github-token': return 'mock-token';
+                    case 'mode': return 'event';
+                    case 'dry-run': return 'true';
+                    default: return '';
+                }
+            });
+            core.summary = {
+                addHeading: jest.fn().mockReturnThis(),
+                addRaw: jest.fn().mockReturnThis(),
+                addTable: jest.fn().mockReturnThis(),
+                write: jest.fn().mockResolvedValue()
+            };
+            github.context.payload.check_suite.pull_requests = [];
+            mockOctokit.rest.repos.listPullRequestsAssociatedWithCommit.mockResolvedValue({ data: [] });
+
+            const { run } = require('../src/index');
+            await run();
+
+            expect(github.getOctokit).toHaveBeenCalledWith('mock-token', {}, expect.any(Function), expect.any(Function));
+            expect(core.summary.addHeading).toHaveBeenCalledWith('Dry run', 2);
+            expect(core.summary.addRaw).toHaveBeenCalledWith('Nothing would have been posted.', true);
+        });
+
+        test('should report no-pr when nothing matches the event', async () => {
+            core.getInput.mockImplementation((name) => {
+                switch(name) {
+                    case 'github-token': return 'mock-token';
+                    case 'mode': return 'event';
+                    default: return '';
+                }
+            });
+            github.context.payload.check_suite.pull_requests = [];
+            mockOctokit.rest.repos.listPullRequestsAssociatedWithCommit.mockResolvedValue({ data: [] });
+
+            const { run } = require('../src/index');
+            await run();
+
+            expect(core.setOutput).toHaveBeenCalledWith('state', 'no-pr');
+            expect(core.setOutput).toHaveBeenCalledWith('pr-number', '');
+        });
+
+        test('should reject an unknown mode', async () => {
+            core.getInput.mockImplementation((name) => {
+                switch(name) {
+                    case 'github-token': return 'mock-token';
+                    case 'mode': return 'events';
+                    default: return '';
+                }
+            });
+
+            const { run } = require('../src/index');
+            await run();
+
+            expect(core.setFailed).toHaveBeenCalledWith('Invalid mode: events (expected poll, event or sweep)');
+            expect(mockOctokit.rest.checks.listForRef).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Sweep Mode', () => {
+        const makePr = (number, sha, labels) => ({
+            number,
+            title: `PR ${number}`,
+            html_url: `https://github.com/test-owner/test-repo/pull/${number}`,
+            head: { sha },
+            base: { ref: 'main' },
+            user: { login: 'octocat' },
+            labels: labels.map(name => ({ name }))
+        });
+
+        beforeEach(() => {
+            require('../src/notificationStore').notifications.clear();
+            core.summary = {
+                addHeading: jest.fn().mockReturnThis(),
+                addTable: jest.fn().mockReturnThis(),
+                write: jest.fn().mockResolvedValue()
+            };
+
+            mockOctokit.rest.pulls.list.mockResolvedValue({
+                data: [
+                    makePr(1, 'sha-green', ['ready']),
+                    makePr(2, 'sha-red', ['ready']),
+                    makePr(3, 'sha-green', [])
+                ]
+            });
+            mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({ data: { statuses: [] } });
+            mockOctokit.rest.checks.listForRef.mockImplementation(({ ref }) => Promise.resolve({
+                data: {
+                    check_runs: [{
+                        name: 'build',
+                        status: 'completed',
+                        conclusion: ref === 'sha-green' ? 'success' : 'failure'
+                    }]
+                }
+            }));
+            mockOctokit.rest.pulls.get.mockImplementation(({ pull_number }) => Promise.resolve({
+                data: {
+                    ...makePr(pull_number, pull_number === 2 ? 'sha-red' : 'sha-green', []),
+                    mergeable: true,
+                    mergeable_state: 'clean'
+                }
+            }));
+            mockOctokit.rest.pulls.listReviews.mockResolvedValue({
+                data: [{ user: { id: 1 }, state: 'APPROVED' }]
+            });
+            mockOctokit.rest.issues.listComments.mockResolvedValue({ data: [] });
+        });
+
+        test('should evaluate filtered PRs and notify the ready ones', async () => {
+            const { runSweepMode } = require('../src/index');
+            const reports = await runSweepMode(mockOctokit, github.context, [], {
+                templates: { success: { message: 'Ready!' } },
+                sweep: { labels: ['ready'], baseBranches: [], authors: [], concurrency: 2 }
+            });
+
+            expect(reports.map(report => [report.number, report.checks, report.notified])).toEqual([
+                [1, 'passed', true],
+                [2, '1 failed', false]
+            ]);
+            expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledTimes(1);
+            expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({
+                issue_number: 1
+            }));
+            expect(core.summary.write).toHaveBeenCalled();
+        });
+
+        test('should reject an invalid sweep concurrency', async () => {
+            core.getInput.mockImplementation((name) => {
+                switch(name) {
+                    case 'github-token': return 'mock-token';
+                    case 'mode': return 'sweep';
+                    case 'sweep-concurrency': return 'abc';
+                    default: return '';
+                }
+            });
+
+            const { run } = require('../src/index');
+            await run();
+
+            expect(core.setFailed).toHaveBeenCalledWith('Invalid sweep-concurrency: abc (expected a number of at least 1)');
+            expect(mockOctokit.rest.pulls.list).not.toHaveBeenCalled();
+        });
+
+        test('should not report PRs notified by an earlier sweep', async () => {
+            mockOctokit.rest.issues.listComments.mockResolvedValue({
+                data: [{ body: 'Ready!\n\n<!-- pr-status-check-notifier:success:pr-1:sha-green -->' }]
+            });
+
+            const { runSweepMode } = require('../src/index');
+            const reports = await runSweepMode(mockOctokit, github.context, [], {
+                templates: { success: { message: 'Ready!' } },
+                sweep: { labels: [], baseBranches: ['main'], authors: ['octocat'], concurrency: 4 }
+            });
+
+            expect(reports[0].notified).toBe(false);
+            expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledTimes(1);
+            expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({
+                issue_number: 3
+            }));
+        });
+    });
+
     describe('Comment Functionality', () => {
         test('should create new comment when PR is mergeable', async () => {
             // Mock PR as mergeable with approval
@@ -204,7 +1303,7 @@ describe('PR Status Check Notifier', () => {
                 owner: 'test-owner',
                 repo: 'test-repo',
                 issue_number: 123,
-                body: 'Test message'
+                body: 'Test message\n\n<!-- pr-status-check-notifier:success:pr-123:test-sha -->'
             });
         });
     
@@ -267,10 +1366,11 @@ describe('PR Status Check Notifier', () => {
             const result = await isPRMergeable(mockOctokit, github.context, 123);
             
             expect(result).toBe(true);
-            expect(mockOctokit.rest.pulls.listReviews).toHaveBeenCalledWith({
+            expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.pulls.listReviews, {
                 owner: 'test-owner',
                 repo: 'test-repo',
-                pull_number: 123
+                pull_number: 123,
+                per_page: 100
             });
         });
 
@@ -317,10 +1417,11 @@ describe('PR Status Check Notifier', () => {
             const result = await isPRMergeable(mockOctokit, github.context, 123);
             
             expect(result).toBe(true);
-            expect(mockOctokit.rest.pulls.listReviews).toHaveBeenCalledWith({
+            expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.pulls.listReviews, {
                 owner: 'test-owner',
                 repo: 'test-repo',
-                pull_number: 123
+                pull_number: 123,
+                per_page: 100
             });
         });
 
@@ -377,6 +1478,25 @@ describe('PR Status Check Notifier', () => {
             expect(result).toBe(false);
         });
 
+        test('should reject PR when another reviewer requested changes', async () => {
+            mockOctokit.rest.pulls.get.mockResolvedValue({
+                data: { mergeable: true, mergeable_state: 'clean' }
+            });
+
+            mockOctokit.rest.pulls.listReviews.mockResolvedValue({
+                data: [
+                    { user: { id: 123, login: 'alice' }, state: 'APPROVED' },
+                    { user: { id: 456, login: 'bob' }, state: 'CHANGES_REQUESTED' }
+                ]
+            });
+
+            const { isPRMergeable } = require('../src/index');
+            const result = await isPRMergeable(mockOctokit, github.context, 123);
+
+            expect(result).toBe(false);
+            expect(core.info).toHaveBeenCalledWith('  - changes requested by bob');
+        });
+
         test('should correctly identify mergeable PR', async () => {
             // Mock PR as mergeable
             mockOctokit.rest.pulls.get.mockResolvedValue({
@@ -418,10 +1538,11 @@ describe('PR Status Check Notifier', () => {
             const result = await isPRMergeable(mockOctokit, github.context, 123);
             
             expect(result).toBe(true);
-            expect(mockOctokit.rest.pulls.listReviews).toHaveBeenCalledWith({
+            expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.pulls.listReviews, {
                 owner: 'test-owner',
                 repo: 'test-repo',
-                pull_number: 123
+                pull_number: 123,
+                per_page: 100
             });
         });
     });
@@ -506,6 +1627,41 @@ describe('PR Status Check Notifier', () => {
         });
     });
 
+    describe('Persistent Notification State', () => {
+        beforeEach(() => {
+            jest.resetModules();
+
+            mockOctokit.rest.pulls.get.mockResolvedValue({
+                data: { mergeable: true, mergeable_state: 'clean' }
+            });
+            mockOctokit.rest.pulls.listReviews.mockResolvedValue({
+                data: [{ user: { id: 123 }, state: 'APPROVED' }]
+            });
+            mockOctokit.rest.issues.listComments.mockResolvedValue({
+                data: [{ body: 'Old wording\n\n<!-- pr-status-check-notifier:success:pr-123:test-sha -->' }]
+            });
+        });
+
+        test('should skip when a previous run notified with a different message', async () => {
+            const { createComment } = require('../src/index');
+            await createComment(mockOctokit, github.context, 123, 'New wording');
+
+            expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+        });
+
+        test('should notify again for a new head SHA', async () => {
+            const { createComment } = require('../src/index');
+            await createComment(mockOctokit, github.context, 123, 'New wording', { sha: 'new-sha' });
+
+            expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith({
+                owner: 'test-owner',
+                repo: 'test-repo',
+                issue_number: 123,
+                body: 'New wording\n\n<!-- pr-status-check-notifier:success:pr-123:new-sha -->'
+            });
+        });
+    });
+
     describe('Notification Deduplication', () => {
         beforeEach(() => {
             jest.resetModules();
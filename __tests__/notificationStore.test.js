@@ -0,0 +1,60 @@
+// __tests__/notificationStore.test.js
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+
+describe('Notification Store', () => {
+    let notificationStore;
+    let mockOctokit;
+    const context = { repo: { owner: 'test-owner', repo: 'test-repo' } };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.isolateModules(() => {
+            notificationStore = require('../src/notificationStore');
+        });
+
+        mockOctokit = {
+            paginate: jest.fn((method, params) => method(params).then(response => response.data)),
+            rest: {
+                issues: { listComments: jest.fn() },
+            },
+        };
+    });
+
+    test('should find state recorded by an earlier run', async () => {
+        const body = notificationStore.markBody('Any message', 123, 'abc', 'success');
+        mockOctokit.rest.issues.listComments.mockResolvedValue({ data: [{ body }] });
+
+        expect(await notificationStore.hasNotification(mockOctokit, context, 123, 'abc')).toBe(true);
+        expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.issues.listComments, {
+            owner: 'test-owner',
+            repo: 'test-repo',
+            issue_number: 123,
+            per_page: 100
+        });
+    });
+
+    test('should key state by head SHA and notification type', async () => {
+        const body = notificationStore.markBody('Any message', 123, 'abc', 'success');
+        mockOctokit.rest.issues.listComments.mockResolvedValue({ data: [{ body }] });
+
+        expect(await notificationStore.hasNotification(mockOctokit, context, 123, 'def')).toBe(false);
+        expect(await notificationStore.hasNotification(mockOctokit, context, 123, 'abc', 'failure')).toBe(false);
+        expect(await notificationStore.hasNotification(mockOctokit, context, 456, 'abc')).toBe(false);
+    });
+
+    test('should remember notifications within a run', async () => {
+        notificationStore.addNotification(123, 'abc');
+
+        expect(await notificationStore.hasNotification(mockOctokit, context, 123, 'abc')).toBe(true);
+        expect(mockOctokit.rest.issues.listComments).not.toHaveBeenCalled();
+    });
+
+    test('should treat unreadable state as not sent', async () => {
+        mockOctokit.rest.issues.listComments.mockRejectedValue(new Error('API Error'));
+
+        expect(await notificationStore.hasNotification(mockOctokit, context, 123, 'abc')).toBe(false);
+        expect(core.warning).toHaveBeenCalledWith('Failed to read notification state: API Error');
+    });
+});
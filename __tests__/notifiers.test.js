@@ -0,0 +1,116 @@
+// __tests__/notifiers.test.js
+const core = require('@actions/core');
+const { buildPayload, createNotifiers, dispatchNotifications } = require('../src/notifiers');
+const { formatSlackMessage } = require('../src/notifiers/slack');
+const { formatTeamsMessage } = require('../src/notifiers/teams');
+
+jest.mock('@actions/core');
+
+describe('Notification Channels', () => {
+    const context = { repo: { owner: 'test-owner', repo: 'test-repo' } };
+    const pr = {
+        number: 123,
+        title: 'Add feature',
+        html_url: 'https://github.com/test-owner/test-repo/pull/123',
+        user: { login: 'octocat' },
+        base: { ref: 'main' }
+    };
+    const status = { sha: 'abc', passed: ['build'], failed: [], pending: [] };
+    const payload = buildPayload(context, pr, status, 'passed', 'Ready to merge');
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+    });
+
+    afterEach(() => {
+        delete global.fetch;
+    });
+
+    test('should build the payload from status and PR metadata', () => {
+        expect(payload).toEqual({
+            event: 'passed',
+            message: 'Ready to merge',
+            repository: 'test-owner/test-repo',
+            pullRequest: {
+                number: 123,
+                title: 'Add feature',
+                url: 'https://github.com/test-owner/test-repo/pull/123',
+                author: 'octocat',
+                headSha: 'abc',
+                baseRef: 'main'
+            },
+            checks: { passed: ['build'], failed: [], pending: [] }
+        });
+    });
+
+    test('should only enable configured channels', () => {
+        expect(createNotifiers({}).map(notifier => notifier.name)).toEqual([]);
+        expect(createNotifiers({
+            slackWebhookUrl: 'https://hooks.slack.test',
+            webhookUrl: 'https://example.test/hook'
+        }).map(notifier => notifier.name)).toEqual(['slack', 'webhook']);
+    });
+
+    test('should format channel-specific messages', () => {
+        expect(formatSlackMessage(payload).text).toBe(
+            ':white_check_mark: <https://github.com/test-owner/test-repo/pull/123|test-owner/test-repo#123: Add feature>\nReady to merge'
+        );
+
+        const card = formatTeamsMessage(payload);
+        expect(card.themeColor).toBe('2EB886');
+        expect(card.potentialAction[0].targets[0].uri).toBe(pr.html_url);
+    });
+
+    test('should post the raw payload to generic webhooks', async () => {
+        const notifiers = createNotifiers({ webhookUrl: 'https://example.test/hook' });
+        await dispatchNotifications(notifiers, payload);
+
+        expect(global.fetch).toHaveBeenCalledWith('https://example.test/hook', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+            signal: expect.any(AbortSignal)
+        });
+    });
+
+    test('should keep sending when one channel fails', async () => {
+        global.fetch
+            .mockResolvedValueOnce({ ok: false, status: 500, text: () => Promise.resolve('boom') })
+            .mockResolvedValueOnce({ ok: true, status: 200 });
+
+        const notifiers = createNotifiers({
+            slackWebhookUrl: 'https://hooks.slack.test',
+            teamsWebhookUrl: 'https://teams.test'
+        });
+        const sent = await dispatchNotifications(notifiers, payload);
+
+        expect(sent).toBe(1);
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(core.warning).toHaveBeenCalledWith('Failed to send passed notification to slack: HTTP 500: boom');
+    });
+
+    test('should give up on a webhook that never answers', async () => {
+        jest.spyOn(AbortSignal, 'timeout').mockImplementation(() => {
+            const controller = new AbortController();
+            setTimeout(() => controller.abort(new DOMException('The operation was aborted due to timeout', 'TimeoutError')), 10);
+            return controller.signal;
+        });
+        global.fetch
+            .mockImplementationOnce((url, { signal }) => new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(signal.reason));
+            }))
+            .mockResolvedValueOnce({ ok: true, status: 200 });
+
+        const notifiers = createNotifiers({
+            slackWebhookUrl: 'https://hooks.slack.test',
+            teamsWebhookUrl: 'https://teams.test'
+        });
+        const sent = await dispatchNotifications(notifiers, payload);
+
+        expect(sent).toBe(1);
+        expect(AbortSignal.timeout).toHaveBeenCalledWith(10000);
+        expect(core.warning).toHaveBeenCalledWith('Failed to send passed notification to slack: no response after 10s');
+        AbortSignal.timeout.mockRestore();
+    });
+});
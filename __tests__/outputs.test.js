@@ -0,0 +1,94 @@
+// __tests__/outputs.test.js
+const core = require('@actions/core');
+const { reportResult } = require('../src/outputs');
+
+jest.mock('@actions/core');
+
+describe('Action Outputs', () => {
+    const status = {
+        sha: 'abcdef1234',
+        passed: ['build'],
+        failed: ['lint'],
+        pending: ['deploy'],
+        checks: [
+            {
+                name: 'build',
+                state: 'passed',
+                status: 'completed',
+                conclusion: 'success',
+                url: 'https://example.com/build',
+                startedAt: '2024-01-01T00:00:00Z',
+                completedAt: '2024-01-01T00:02:05Z'
+            },
+            { name: 'lint', state: 'failed', status: 'completed', conclusion: 'failure', url: null, startedAt: null },
+            { name: 'deploy', state: 'pending', status: 'queued', conclusion: null, url: null, startedAt: null }
+        ]
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        core.summary = {
+            addHeading: jest.fn().mockReturnThis(),
+            addRaw: jest.fn().mockReturnThis(),
+            addTable: jest.fn().mockReturnThis(),
+            addList: jest.fn().mockReturnThis(),
+            write: jest.fn().mockResolvedValue()
+        };
+    });
+
+    test('should set outputs for the evaluated PR', async () => {
+        await reportResult({ state: 'failed', prNumber: 12, status, notified: true });
+
+        expect(core.setOutput).toHaveBeenCalledWith('state', 'failed');
+        expect(core.setOutput).toHaveBeenCalledWith('pr-number', '12');
+        expect(core.setOutput).toHaveBeenCalledWith('head-sha', 'abcdef1234');
+        expect(core.setOutput).toHaveBeenCalledWith('passed-checks', '["build"]');
+        expect(core.setOutput).toHaveBeenCalledWith('failed-checks', '["lint"]');
+        expect(core.setOutput).toHaveBeenCalledWith('pending-checks', '["deploy"]');
+        expect(core.setOutput).toHaveBeenCalledWith('notified', 'true');
+    });
+
+    test('should write a table of every check to the job summary', async () => {
+        await reportResult({ state: 'failed', prNumber: 12, status });
+
+        expect(core.summary.addHeading).toHaveBeenCalledWith('PR #12: ❌ Checks failed');
+        const [rows] = core.summary.addTable.mock.calls[0];
+        expect(rows).toHaveLength(4);
+        expect(rows[1]).toEqual(['build', '✅ Passed', 'success', '2m 5s', '<a href="https://example.com/build">details</a>']);
+        expect(rows[3]).toEqual(['deploy', '⏳ Pending', 'queued', '', '']);
+        expect(core.summary.write).toHaveBeenCalled();
+    });
+
+    test('should list re-run checks', async () => {
+        await reportResult({ state: 'passed', prNumber: 12, status: { ...status, reruns: [{ name: 'e2e', attempts: 2 }] } });
+
+        expect(core.setOutput).toHaveBeenCalledWith('rerun-checks', '["e2e"]');
+        expect(core.summary.addHeading).toHaveBeenCalledWith('Re-run checks', 3);
+        expect(core.summary.addList).toHaveBeenCalledWith(['e2e: re-run 2 time(s)']);
+    });
+
+    test('should list expected checks that never reported', async () => {
+        await reportResult({ state: 'timeout', prNumber: 12, status: { ...status, missing: ['deploy'] } });
+
+        expect(core.setOutput).toHaveBeenCalledWith('missing-checks', '["deploy"]');
+        expect(core.summary.addHeading).toHaveBeenCalledWith('Expected checks that never reported', 3);
+        expect(core.summary.addList).toHaveBeenCalledWith(['deploy']);
+    });
+
+    test('should report a missing PR with empty outputs', async () => {
+        await reportResult({ state: 'no-pr' });
+
+        expect(core.setOutput).toHaveBeenCalledWith('state', 'no-pr');
+        expect(core.setOutput).toHaveBeenCalledWith('head-sha', '');
+        expect(core.setOutput).toHaveBeenCalledWith('failed-checks', '[]');
+        expect(core.summary.addTable).not.toHaveBeenCalled();
+    });
+
+    test('should warn when the job summary cannot be written', async () => {
+        core.summary.write.mockRejectedValue(new Error('no summary file'));
+
+        await reportResult({ state: 'passed', prNumber: 12, status });
+
+        expect(core.warning).toHaveBeenCalledWith('Failed to write job summary: no summary file');
+    });
+});
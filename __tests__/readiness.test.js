@@ -0,0 +1,190 @@
+// __tests__/readiness.test.js
+const { DEFAULT_POLICY, evaluateReadiness, parseReadinessPolicy } = require('../src/readiness');
+const { parsePatternList } = require('../src/checkPatterns');
+
+jest.mock('@actions/core');
+
+describe('Readiness Policy', () => {
+    let mockOctokit;
+    const context = { repo: { owner: 'test-owner', repo: 'test-repo' } };
+    const pr = {
+        number: 123,
+        draft: false,
+        mergeable: true,
+        mergeable_state: 'clean',
+        labels: [{ name: 'ready' }],
+        base: { ref: 'main' }
+    };
+    const review = (id, login, state) => ({ user: { id, login }, state });
+
+    beforeEach(() => {
+        mockOctokit = {
+            paginate: jest.fn((method, params) => method(params).then(response => response.data)),
+            rest: {
+                repos: { getContent: jest.fn() },
+                pulls: { listFiles: jest.fn() },
+                teams: { getMembershipForUserInOrg: jest.fn() },
+            },
+        };
+    });
+
+    test('should pass with the default policy', async () => {
+        const result = await evaluateReadiness(mockOctokit, context, pr, [review(1, 'alice', 'APPROVED')]);
+
+        expect(result).toEqual({ ready: true, reasons: [], awaitingReview: false });
+    });
+
+    test('should block on a change request from another reviewer', async () => {
+        const result = await evaluateReadiness(mockOctokit, context, pr, [
+            review(1, 'alice', 'APPROVED'),
+            review(2, 'bob', 'CHANGES_REQUESTED')
+        ]);
+
+        expect(result).toEqual({ ready: false, reasons: ['changes requested by bob'], awaitingReview: false });
+    });
+
+    test('should keep approvals after later comments', async () => {
+        const result = await evaluateReadiness(mockOctokit, context, pr, [
+            review(1, 'alice', 'APPROVED'),
+            review(1, 'alice', 'COMMENTED')
+        ]);
+
+        expect(result.ready).toBe(true);
+    });
+
+    test('should explain every rule that blocks readiness', async () => {
+        const policy = {
+            ...DEFAULT_POLICY,
+            minApprovals: 2,
+            requiredLabels: ['ready', 'qa-approved'],
+            forbiddenLabels: ['do-not-merge'],
+            mergeableStates: ['clean', 'unstable']
+        };
+        const draft = {
+            ...pr,
+            draft: true,
+            mergeable_state: 'draft',
+            labels: [{ name: 'do-not-merge' }]
+        };
+
+        const result = await evaluateReadiness(mockOctokit, context, draft, [review(1, 'alice', 'APPROVED')], policy);
+
+        expect(result.reasons).toEqual([
+            'PR is a draft',
+            'mergeable state "draft" is not one of: clean, unstable',
+            'missing required label(s): ready, qa-approved',
+            'has forbidden label(s): do-not-merge',
+            'has 1 approval(s), needs 2'
+        ]);
+    });
+
+    test('should flag PRs that only wait on reviews', async () => {
+        const blocked = { ...pr, mergeable_state: 'blocked' };
+
+        const waiting = await evaluateReadiness(mockOctokit, context, blocked, []);
+        const draft = await evaluateReadiness(mockOctokit, context, { ...blocked, draft: true }, []);
+
+        expect(waiting.awaitingReview).toBe(true);
+        expect(draft.awaitingReview).toBe(false);
+    });
+
+    test('should accept configured mergeable states', async () => {
+        const policy = { ...DEFAULT_POLICY, mergeableStates: ['clean', 'unstable', 'has_hooks'] };
+        const result = await evaluateReadiness(mockOctokit, context, { ...pr, mergeable_state: 'unstable' }, [
+            review(1, 'alice', 'APPROVED')
+        ], policy);
+
+        expect(result.ready).toBe(true);
+    });
+
+    describe('with its own ready check', () => {
+        const policy = { ...DEFAULT_POLICY, ownCheck: 'pr-notifier/ready' };
+        const blocked = { ...pr, mergeable_state: 'blocked' };
+        const approved = [review(1, 'alice', 'APPROVED')];
+
+        beforeEach(() => {
+            mockOctokit.graphql = jest.fn().mockResolvedValue({ repository: { pullRequest: { reviewDecision: 'APPROVED' } } });
+            mockOctokit.rest.repos.getBranchProtection = jest.fn().mockResolvedValue({
+                data: { required_status_checks: { contexts: ['build', 'pr-notifier/ready'] } }
+            });
+            mockOctokit.rest.repos.getBranchRules = jest.fn().mockResolvedValue({ data: [] });
+        });
+
+        test('should put a block by the required ready check down to the check', async () => {
+            const result = await evaluateReadiness(mockOctokit, context, blocked, approved, policy);
+            const unstable = await evaluateReadiness(mockOctokit, context, { ...pr, mergeable_state: 'unstable' }, approved, policy);
+
+            expect(result.ready).toBe(true);
+            expect(unstable.ready).toBe(true);
+            expect(mockOctokit.graphql).toHaveBeenCalledWith(expect.stringContaining('reviewDecision'), {
+                owner: 'test-owner',
+                repo: 'test-repo',
+                number: 123
+            });
+            expect(mockOctokit.rest.repos.getBranchProtection).toHaveBeenCalledWith({ ...context.repo, branch: 'main' });
+        });
+
+        test('should keep blocks that GitHub puts down to reviews', async () => {
+            // Branch protection wants more approvals than min-approvals
+            mockOctokit.graphql.mockResolvedValue({ repository: { pullRequest: { reviewDecision: 'REVIEW_REQUIRED' } } });
+            const viaRest = await evaluateReadiness(mockOctokit, context, blocked, approved, policy);
+            const viaGraphQL = await evaluateReadiness(mockOctokit, context, { ...blocked, review_decision: 'CHANGES_REQUESTED' }, approved, policy);
+
+            expect(viaRest.reasons).toEqual(['mergeable state "blocked" is not one of: clean']);
+            expect(viaGraphQL.ready).toBe(false);
+            expect(mockOctokit.graphql).toHaveBeenCalledTimes(1);
+        });
+
+        test('should keep blocks when the ready check is not required', async () => {
+            mockOctokit.rest.repos.getBranchProtection.mockResolvedValue({
+                data: { required_status_checks: { contexts: ['build'] } }
+            });
+
+            const result = await evaluateReadiness(mockOctokit, context, blocked, approved, policy);
+            const behind = await evaluateReadiness(mockOctokit, context, { ...pr, mergeable_state: 'behind' }, approved, policy);
+
+            expect(result.reasons).toEqual(['mergeable state "blocked" is not one of: clean']);
+            expect(behind.reasons).toEqual(['mergeable state "behind" is not one of: clean']);
+        });
+    });
+
+    test('should require code owner approval for owned files', async () => {
+        mockOctokit.rest.repos.getContent.mockResolvedValue({
+            data: { encoding: 'base64', content: Buffer.from('*.js @alice\n/docs/ @test-owner/docs\n').toString('base64') }
+        });
+        mockOctokit.rest.pulls.listFiles.mockResolvedValue({
+            data: [{ filename: 'src/index.js' }, { filename: 'docs/guide.md' }, { filename: 'README.md' }]
+        });
+        mockOctokit.rest.teams.getMembershipForUserInOrg.mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }));
+
+        const policy = { ...DEFAULT_POLICY, requireCodeOwnerApproval: true };
+        const result = await evaluateReadiness(mockOctokit, context, pr, [review(1, 'alice', 'APPROVED')], policy);
+
+        expect(result.reasons).toEqual(['no code owner approval for: docs/guide.md']);
+        expect(mockOctokit.rest.teams.getMembershipForUserInOrg).toHaveBeenCalledWith({
+            org: 'test-owner',
+            team_slug: 'docs',
+            username: 'alice'
+        });
+    });
+
+    test('should parse the policy from inputs', () => {
+        const inputs = {
+            'min-approvals': '2',
+            'block-on-changes-requested': 'false',
+            'mergeable-states': 'clean,unstable',
+            'forbidden-labels': 'wip'
+        };
+        const policy = parseReadinessPolicy(name => inputs[name] || '', parsePatternList);
+
+        expect(policy).toEqual({
+            ...DEFAULT_POLICY,
+            minApprovals: 2,
+            blockOnChangesRequested: false,
+            mergeableStates: ['clean', 'unstable'],
+            forbiddenLabels: ['wip']
+        });
+        expect(() => parseReadinessPolicy(name => name === 'min-approvals' ? 'two' : '', parsePatternList))
+            .toThrow('Invalid min-approvals: two');
+    });
+});
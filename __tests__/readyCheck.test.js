@@ -0,0 +1,120 @@
+// __tests__/readyCheck.test.js
+const core = require('@actions/core');
+const { parseReadyCheck, publishReadyCheck, published } = require('../src/readyCheck');
+
+jest.mock('@actions/core');
+
+describe('Ready Check', () => {
+    let mockOctokit;
+    const context = { repo: { owner: 'test-owner', repo: 'test-repo' } };
+    const checkRun = { type: 'check-run', name: 'pr-notifier/ready' };
+    const pending = {
+        sha: 'abc123',
+        passed: ['build'],
+        failed: [],
+        pending: ['e2e'],
+        failedDetails: []
+    };
+    const failed = {
+        ...pending,
+        failed: ['lint'],
+        pending: [],
+        failedDetails: [{ name: 'lint', conclusion: 'failure', url: 'https://example.com/lint', summary: '2 errors' }]
+    };
+    const inputs = values => name => values[name] || '';
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        published.clear();
+        mockOctokit = {
+            rest: {
+                checks: {
+                    listForRef: jest.fn().mockResolvedValue({ data: { check_runs: [] } }),
+                    create: jest.fn().mockResolvedValue({ data: { id: 99 } }),
+                    update: jest.fn().mockResolvedValue({ data: {} })
+                },
+                repos: { createCommitStatus: jest.fn().mockResolvedValue({ data: {} }) }
+            }
+        };
+    });
+
+    test('should parse the check type and name', () => {
+        expect(parseReadyCheck(inputs({}))).toBeNull();
+        expect(parseReadyCheck(inputs({ 'ready-check': 'none' }))).toBeNull();
+        expect(parseReadyCheck(inputs({ 'ready-check': 'check-run' }))).toEqual(checkRun);
+        expect(parseReadyCheck(inputs({ 'ready-check': 'commit-status', 'ready-check-name': 'ready' })))
+            .toEqual({ type: 'commit-status', name: 'ready' });
+        expect(() => parseReadyCheck(inputs({ 'ready-check': 'comment' }))).toThrow('Invalid ready-check: comment');
+    });
+
+    test('should create an in-progress check run and complete it', async () => {
+        await publishReadyCheck(mockOctokit, context, pending, 'pending', checkRun);
+        await publishReadyCheck(mockOctokit, context, pending, 'pending', checkRun);
+        await publishReadyCheck(mockOctokit, context, failed, 'failed', checkRun);
+
+        expect(mockOctokit.rest.checks.create).toHaveBeenCalledTimes(1);
+        expect(mockOctokit.rest.checks.create).toHaveBeenCalledWith({
+            owner: 'test-owner',
+            repo: 'test-repo',
+            name: 'pr-notifier/ready',
+            head_sha: 'abc123',
+            status: 'in_progress',
+            output: { title: 'Waiting for checks', summary: '1 passed, 0 failed, 1 pending\n\n**Pending**\n\n- e2e' }
+        });
+        expect(mockOctokit.rest.checks.update).toHaveBeenCalledTimes(1);
+        expect(mockOctokit.rest.checks.update).toHaveBeenCalledWith(expect.objectContaining({
+            check_run_id: 99,
+            status: 'completed',
+            conclusion: 'failure',
+            output: {
+                title: 'Checks failed',
+                summary: '1 passed, 1 failed, 0 pending\n\n**Failed**\n\n- [lint](https://example.com/lint): failure — 2 errors'
+            }
+        }));
+    });
+
+    test('should reuse the check run from an earlier workflow run', async () => {
+        mockOctokit.rest.checks.listForRef.mockResolvedValue({ data: { check_runs: [{ id: 42 }] } });
+
+        await publishReadyCheck(mockOctokit, context, { ...pending, pending: [] }, 'passed', checkRun);
+
+        expect(mockOctokit.rest.checks.listForRef).toHaveBeenCalledWith({
+            owner: 'test-owner',
+            repo: 'test-repo',
+            ref: 'abc123',
+            check_name: 'pr-notifier/ready',
+            filter: 'latest'
+        });
+        expect(mockOctokit.rest.checks.create).not.toHaveBeenCalled();
+        expect(mockOctokit.rest.checks.update).toHaveBeenCalledWith(expect.objectContaining({
+            check_run_id: 42,
+            conclusion: 'success'
+        }));
+    });
+
+    test('should set a commit status instead when asked to', async () => {
+        await publishReadyCheck(mockOctokit, context, failed, 'failed', { type: 'commit-status', name: 'ready' });
+
+        expect(mockOctokit.rest.repos.createCommitStatus).toHaveBeenCalledWith({
+            owner: 'test-owner',
+            repo: 'test-repo',
+            sha: 'abc123',
+            state: 'failure',
+            context: 'ready',
+            description: 'Checks failed: lint'
+        });
+        expect(mockOctokit.rest.checks.create).not.toHaveBeenCalled();
+    });
+
+    test('should leave superseded commits alone and warn on errors', async () => {
+        await publishReadyCheck(mockOctokit, context, pending, 'superseded', checkRun);
+        expect(mockOctokit.rest.checks.create).not.toHaveBeenCalled();
+
+        mockOctokit.rest.checks.create.mockRejectedValue(new Error('Resource not accessible by integration'));
+        await publishReadyCheck(mockOctokit, context, pending, 'pending', checkRun);
+
+        expect(core.warning).toHaveBeenCalledWith(
+            'Failed to publish check-run "pr-notifier/ready": Resource not accessible by integration'
+        );
+    });
+});
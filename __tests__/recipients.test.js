@@ -0,0 +1,68 @@
+// __tests__/recipients.test.js
+const { hasOptOutLabel, resolveRecipients } = require('../src/recipients');
+
+jest.mock('@actions/core');
+
+describe('Recipient Routing', () => {
+    const context = { repo: { owner: 'test-owner', repo: 'test-repo' } };
+    const pr = {
+        number: 7,
+        user: { login: 'author' },
+        base: { ref: 'main' },
+        requested_reviewers: [{ login: 'alice' }, { login: 'Bob' }],
+        requested_teams: [{ slug: 'core' }],
+        labels: [{ name: 'no-ping' }]
+    };
+    let mockOctokit;
+
+    beforeEach(() => {
+        const codeowners = ['*.js @bob @frontend-owner', 'docs/ @author docs@example.com'].join('\n');
+        mockOctokit = {
+            paginate: jest.fn((method, params) => method(params).then(response => response.data)),
+            rest: {
+                pulls: {
+                    listFiles: jest.fn().mockResolvedValue({
+                        data: [{ filename: 'src/index.js' }, { filename: 'docs/guide.md' }]
+                    })
+                },
+                repos: {
+                    getContent: jest.fn().mockResolvedValue({
+                        data: { content: Buffer.from(codeowners).toString('base64'), encoding: 'base64' }
+                    })
+                }
+            }
+        };
+    });
+
+    test('should ping the author once the PR is ready', async () => {
+        const recipients = await resolveRecipients(mockOctokit, context, pr, { ready: true, awaitingReview: false });
+
+        expect(recipients).toEqual(['@author']);
+        expect(mockOctokit.rest.pulls.listFiles).not.toHaveBeenCalled();
+    });
+
+    test('should ping reviewers and code owners while reviews are missing', async () => {
+        const recipients = await resolveRecipients(mockOctokit, context, pr, { ready: false, awaitingReview: true });
+
+        // Case-insensitive duplicates, the author and email owners are dropped
+        expect(recipients).toEqual(['@alice', '@Bob', '@test-owner/core', '@frontend-owner']);
+        expect(mockOctokit.rest.pulls.listFiles).toHaveBeenCalledWith({
+            owner: 'test-owner',
+            repo: 'test-repo',
+            pull_number: 7,
+            per_page: 100
+        });
+    });
+
+    test('should ping nobody while the PR is blocked on something else', async () => {
+        const recipients = await resolveRecipients(mockOctokit, context, pr, { ready: false, awaitingReview: false });
+
+        expect(recipients).toEqual([]);
+    });
+
+    test('should detect the opt-out label', () => {
+        expect(hasOptOutLabel(pr, 'no-ping')).toBe(true);
+        expect(hasOptOutLabel(pr, 'other')).toBe(false);
+        expect(hasOptOutLabel(pr, '')).toBe(false);
+    });
+});
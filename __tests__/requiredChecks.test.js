@@ -0,0 +1,99 @@
+// __tests__/requiredChecks.test.js
+const core = require('@actions/core');
+const { getRequiredChecks, matchesRequiredCheck } = require('../src/requiredChecks');
+
+jest.mock('@actions/core');
+
+describe('Required Checks', () => {
+    let mockOctokit;
+    const context = { repo: { owner: 'test-owner', repo: 'test-repo' } };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockOctokit = {
+            rest: {
+                repos: {
+                    getBranchProtection: jest.fn(),
+                    getBranchRules: jest.fn(),
+                },
+            },
+        };
+    });
+
+    test('should merge branch protection and ruleset checks', async () => {
+        mockOctokit.rest.repos.getBranchProtection.mockResolvedValue({
+            data: {
+                required_status_checks: {
+                    contexts: ['build', 'ci/legacy'],
+                    checks: [
+                        { context: 'build', app_id: 15368 },
+                        { context: 'ci/legacy', app_id: null }
+                    ]
+                }
+            }
+        });
+        mockOctokit.rest.repos.getBranchRules.mockResolvedValue({
+            data: [
+                { type: 'pull_request', parameters: {} },
+                {
+                    type: 'required_status_checks',
+                    parameters: {
+                        required_status_checks: [
+                            { context: 'build', integration_id: 15368 },
+                            { context: 'lint' }
+                        ]
+                    }
+                }
+            ]
+        });
+
+        const result = await getRequiredChecks(mockOctokit, context, 'main');
+
+        expect(result).toEqual([
+            { name: 'build', appId: 15368 },
+            { name: 'ci/legacy', appId: null },
+            { name: 'lint', appId: null }
+        ]);
+        expect(mockOctokit.rest.repos.getBranchProtection).toHaveBeenCalledWith({
+            owner: 'test-owner',
+            repo: 'test-repo',
+            branch: 'main'
+        });
+    });
+
+    test('should tolerate unprotected branches', async () => {
+        const notFound = Object.assign(new Error('Branch not protected'), { status: 404 });
+        mockOctokit.rest.repos.getBranchProtection.mockRejectedValue(notFound);
+        mockOctokit.rest.repos.getBranchRules.mockResolvedValue({
+            data: [{
+                type: 'required_status_checks',
+                parameters: { required_status_checks: [{ context: 'build' }] }
+            }]
+        });
+
+        const result = await getRequiredChecks(mockOctokit, context, 'main');
+
+        expect(result).toEqual([{ name: 'build', appId: null }]);
+        expect(core.warning).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to all checks when nothing is required', async () => {
+        mockOctokit.rest.repos.getBranchProtection.mockResolvedValue({ data: {} });
+        mockOctokit.rest.repos.getBranchRules.mockResolvedValue({ data: [] });
+
+        const result = await getRequiredChecks(mockOctokit, context, 'main');
+
+        expect(result).toBeNull();
+        expect(core.warning).toHaveBeenCalled();
+    });
+
+    test('should match checks by name and app', () => {
+        const required = { name: 'build', appId: 15368 };
+
+        expect(matchesRequiredCheck(required, { name: 'build', app: { id: 15368 } })).toBe(true);
+        expect(matchesRequiredCheck(required, { name: 'build', app: { id: 1 } })).toBe(false);
+        expect(matchesRequiredCheck(required, { context: 'build' })).toBe(true);
+        expect(matchesRequiredCheck(required, { name: 'build-docs', app: { id: 15368 } })).toBe(false);
+    });
+});
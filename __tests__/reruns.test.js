@@ -0,0 +1,117 @@
+// __tests__/reruns.test.js
+const { parseRerunPolicy, retryFlakyChecks, tracker } = require('../src/reruns');
+const { parsePatternList } = require('../src/checkPatterns');
+
+jest.mock('@actions/core');
+
+describe('Flaky Check Reruns', () => {
+    let mockOctokit;
+    const context = { repo: { owner: 'test-owner', repo: 'test-repo' } };
+    const policy = { patterns: ['e2e-*', 'lint'], maxAttempts: 2 };
+
+    const checkRuns = [
+        { id: 11, name: 'e2e-chrome', status: 'completed', conclusion: 'failure', app: { slug: 'github-actions' } },
+        { id: 12, name: 'lint', status: 'completed', conclusion: 'failure', app: { slug: 'circleci-checks' } },
+        { id: 13, name: 'unit', status: 'completed', conclusion: 'failure', app: { slug: 'github-actions' } },
+        { id: 14, name: 'build', status: 'completed', conclusion: 'success', app: { slug: 'github-actions' } }
+    ];
+    const makeStatus = (sha, failed) => ({
+        sha,
+        hasChecks: true,
+        allCompleted: true,
+        allPassed: false,
+        pending: [],
+        failed,
+        passed: ['build'],
+        checks: failed.map(name => ({ name, state: 'failed', status: 'completed', conclusion: 'failure' })),
+        failedDetails: failed.map(name => ({ name, conclusion: 'failure' }))
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        tracker.attempts.clear();
+        tracker.requested.clear();
+
+        mockOctokit = {
+            rest: {
+                actions: { reRunJobForWorkflowRun: jest.fn().mockResolvedValue({}) },
+                checks: {
+                    listForRef: jest.fn().mockResolvedValue({ data: { check_runs: [{ id: 1 }] } }),
+                    rerequestRun: jest.fn().mockResolvedValue({})
+                }
+            }
+        };
+    });
+
+    test('should be disabled without patterns', () => {
+        const inputs = { 'rerun-max-attempts': '3' };
+        expect(parseRerunPolicy(name => inputs[name] || '', parsePatternList)).toBeNull();
+
+        inputs['rerun-checks'] = 'e2e-*';
+        expect(parseRerunPolicy(name => inputs[name] || '', parsePatternList)).toEqual({ patterns: ['e2e-*'], maxAttempts: 3 });
+
+        inputs['rerun-max-attempts'] = 'many';
+        expect(() => parseRerunPolicy(name => inputs[name] || '', parsePatternList))
+            .toThrow('Invalid rerun-max-attempts: many');
+    });
+
+    test('should re-run matching failures and report them as pending', async () => {
+        const status = await retryFlakyChecks(mockOctokit, context, makeStatus('sha-1', ['e2e-chrome', 'lint', 'unit']), checkRuns, policy);
+
+        expect(mockOctokit.rest.actions.reRunJobForWorkflowRun).toHaveBeenCalledWith({
+            owner: 'test-owner',
+            repo: 'test-repo',
+            job_id: 11
+        });
+        expect(mockOctokit.rest.checks.rerequestRun).toHaveBeenCalledWith({
+            owner: 'test-owner',
+            repo: 'test-repo',
+            check_run_id: 12
+        });
+        expect(mockOctokit.rest.checks.listForRef).toHaveBeenCalledWith(expect.objectContaining({
+            ref: 'sha-1',
+            check_name: 'e2e-chrome',
+            filter: 'all'
+        }));
+
+        expect(status.failed).toEqual(['unit']);
+        expect(status.pending).toEqual(['e2e-chrome', 'lint']);
+        expect(status.allCompleted).toBe(false);
+        expect(status.failedDetails.map(failure => failure.name)).toEqual(['unit']);
+        expect(status.checks[0]).toMatchObject({ name: 'e2e-chrome', state: 'pending', status: 'rerun requested' });
+        expect(status.reruns).toEqual([
+            { name: 'e2e-chrome', attempts: 1 },
+            { name: 'lint', attempts: 1 }
+        ]);
+    });
+
+    test('should not re-run the same failed run twice', async () => {
+        await retryFlakyChecks(mockOctokit, context, makeStatus('sha-2', ['lint']), checkRuns, policy);
+        const status = await retryFlakyChecks(mockOctokit, context, makeStatus('sha-2', ['lint']), checkRuns, policy);
+
+        expect(mockOctokit.rest.checks.rerequestRun).toHaveBeenCalledTimes(1);
+        expect(status.pending).toEqual(['lint']);
+    });
+
+    test('should report the failure once attempts are used up', async () => {
+        // Two earlier attempts already exist on GitHub
+        mockOctokit.rest.checks.listForRef.mockResolvedValue({ data: { check_runs: [{ id: 1 }, { id: 2 }, { id: 3 }] } });
+
+        const status = await retryFlakyChecks(mockOctokit, context, makeStatus('sha-3', ['lint']), checkRuns, policy);
+
+        expect(mockOctokit.rest.checks.rerequestRun).not.toHaveBeenCalled();
+        expect(status.failed).toEqual(['lint']);
+        expect(status.allCompleted).toBe(true);
+        expect(status.reruns).toEqual([{ name: 'lint', attempts: 2 }]);
+    });
+
+    test('should keep the check failed when the rerun request fails', async () => {
+        mockOctokit.rest.checks.rerequestRun.mockRejectedValue(new Error('Resource not accessible by integration'));
+
+        const status = await retryFlakyChecks(mockOctokit, context, makeStatus('sha-4', ['lint']), checkRuns, policy);
+
+        expect(status.failed).toEqual(['lint']);
+        expect(require('@actions/core').warning)
+            .toHaveBeenCalledWith('Failed to re-run check "lint": Resource not accessible by integration');
+    });
+});
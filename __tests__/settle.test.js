@@ -0,0 +1,48 @@
+// __tests__/settle.test.js
+const { applySettleWindow, parseSettleWindow } = require('../src/settle');
+
+jest.mock('@actions/core');
+
+describe('Settle Window', () => {
+    const now = Date.parse('2024-01-01T00:10:00Z');
+    const green = {
+        sha: 'abc',
+        allPassed: true,
+        allCompleted: true,
+        pending: [],
+        checks: [{ name: 'build', state: 'passed', completedAt: '2024-01-01T00:09:00Z' }]
+    };
+    const inputs = values => name => values[name] || '';
+
+    test('should be off by default', () => {
+        expect(parseSettleWindow(inputs({}))).toBeNull();
+        expect(parseSettleWindow(inputs({ 'settle-polls': '3', 'settle-period': '120' })))
+            .toEqual({ polls: 3, quietMs: 120000 });
+        expect(() => parseSettleWindow(inputs({ 'settle-period': 'soon' }))).toThrow('Invalid settle-period: soon');
+    });
+
+    test('should wait for consecutive green polls', () => {
+        const window = { polls: 2, quietMs: 0 };
+
+        expect(applySettleWindow(green, window, 1, now)).toMatchObject({
+            allPassed: false,
+            allCompleted: false,
+            settling: 'green for 1 of 2 poll(s)'
+        });
+        expect(applySettleWindow(green, window, 2, now)).toBe(green);
+    });
+
+    test('should wait for the quiet period after the last check finished', () => {
+        const window = { polls: 1, quietMs: 120000 };
+
+        expect(applySettleWindow(green, window, undefined, now).settling)
+            .toBe('last check finished 1m 0s ago, waiting for 2m 0s');
+        expect(applySettleWindow(green, window, undefined, now + 60000)).toBe(green);
+    });
+
+    test('should leave statuses that are not green alone', () => {
+        const pending = { ...green, allPassed: false, allCompleted: false, pending: ['build'] };
+
+        expect(applySettleWindow(pending, { polls: 3, quietMs: 0 }, 0, now)).toBe(pending);
+    });
+});
@@ -0,0 +1,105 @@
+// __tests__/stateLabels.test.js
+const core = require('@actions/core');
+const { knownLabels, parseStateLabels, syncStateLabels, syncedStates } = require('../src/stateLabels');
+const { mockPaginate } = require('./testUtils');
+
+jest.mock('@actions/core');
+
+describe('State Labels', () => {
+    let mockOctokit;
+    const context = { repo: { owner: 'test-owner', repo: 'test-repo' } };
+    const labels = { pending: 'ci: pending', failed: 'ci: failed', passed: 'ci: passed', ready: 'ready to merge' };
+    const notFound = Object.assign(new Error('Not Found'), { status: 404 });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        knownLabels.clear();
+        syncedStates.clear();
+        mockOctokit = {
+            paginate: mockPaginate(),
+            rest: {
+                issues: {
+                    listLabelsOnIssue: jest.fn().mockResolvedValue({ data: [{ name: 'bug' }, { name: 'ci: pending' }] }),
+                    getLabel: jest.fn().mockResolvedValue({ data: {} }),
+                    createLabel: jest.fn().mockResolvedValue({ data: {} }),
+                    addLabels: jest.fn().mockResolvedValue({ data: [] }),
+                    removeLabel: jest.fn().mockResolvedValue({ data: [] })
+                }
+            }
+        };
+    });
+
+    test('should parse only the configured labels', () => {
+        const inputs = { 'failed-label': 'ci: failed', 'ready-label': ' ready ' };
+
+        expect(parseStateLabels(name => inputs[name] || '')).toEqual({ failed: 'ci: failed', ready: 'ready' });
+        expect(parseStateLabels(() => '')).toBeNull();
+    });
+
+    test('should swap the state label without touching other labels', async () => {
+        await syncStateLabels(mockOctokit, context, 7, 'abc', 'not-mergeable', labels);
+
+        expect(mockOctokit.rest.issues.addLabels).toHaveBeenCalledWith({
+            owner: 'test-owner',
+            repo: 'test-repo',
+            issue_number: 7,
+            labels: ['ci: passed']
+        });
+        expect(mockOctokit.rest.issues.removeLabel).toHaveBeenCalledTimes(1);
+        expect(mockOctokit.rest.issues.removeLabel).toHaveBeenCalledWith({
+            owner: 'test-owner',
+            repo: 'test-repo',
+            issue_number: 7,
+            name: 'ci: pending'
+        });
+        expect(mockOctokit.rest.issues.createLabel).not.toHaveBeenCalled();
+    });
+
+    test('should tolerate a state label that is already gone', async () => {
+        mockOctokit.rest.issues.removeLabel.mockRejectedValue(notFound);
+
+        await syncStateLabels(mockOctokit, context, 7, 'abc', 'failed', labels);
+
+        expect(mockOctokit.rest.issues.addLabels).toHaveBeenCalledWith(expect.objectContaining({ labels: ['ci: failed'] }));
+        expect(core.warning).not.toHaveBeenCalled();
+    });
+
+    test('should create missing labels with their color', async () => {
+        mockOctokit.rest.issues.getLabel.mockRejectedValue(notFound);
+
+        await syncStateLabels(mockOctokit, context, 7, 'abc', 'passed', labels);
+
+        expect(mockOctokit.rest.issues.createLabel).toHaveBeenCalledWith({
+            owner: 'test-owner',
+            repo: 'test-repo',
+            name: 'ready to merge',
+            color: '1d76db',
+            description: 'Checks passed and the PR is ready to merge'
+        });
+        expect(mockOctokit.rest.issues.addLabels).toHaveBeenCalledWith(expect.objectContaining({
+            labels: ['ready to merge']
+        }));
+    });
+
+    test('should skip unchanged states and remove labels for superseded commits', async () => {
+        await syncStateLabels(mockOctokit, context, 7, 'abc', 'pending', labels);
+        await syncStateLabels(mockOctokit, context, 7, 'abc', 'pending', labels);
+        expect(mockOctokit.rest.issues.listLabelsOnIssue).toHaveBeenCalledTimes(1);
+        expect(mockOctokit.rest.issues.addLabels).not.toHaveBeenCalled();
+        expect(mockOctokit.rest.issues.removeLabel).not.toHaveBeenCalled();
+
+        await syncStateLabels(mockOctokit, context, 7, 'abc', 'superseded', labels);
+        expect(mockOctokit.rest.issues.addLabels).not.toHaveBeenCalled();
+        expect(mockOctokit.rest.issues.removeLabel).toHaveBeenCalledWith(expect.objectContaining({ name: 'ci: pending' }));
+    });
+
+    test('should warn instead of failing when labels cannot be changed', async () => {
+        mockOctokit.rest.issues.addLabels.mockRejectedValue(new Error('Resource not accessible by integration'));
+
+        await syncStateLabels(mockOctokit, context, 7, 'abc', 'failed', labels);
+
+        expect(core.warning).toHaveBeenCalledWith(
+            'Failed to update state labels on PR #7: Resource not accessible by integration'
+        );
+    });
+});
@@ -0,0 +1,90 @@
+// __tests__/stickyComment.test.js
+const { buildStickyBody, upsertStickyComment } = require('../src/stickyComment');
+
+jest.mock('@actions/core');
+
+describe('Sticky Comment', () => {
+    let mockOctokit;
+    const context = { repo: { owner: 'test-owner', repo: 'test-repo' } };
+    const status = {
+        sha: 'abcdef1234',
+        hasChecks: true,
+        allPassed: false,
+        pending: ['deploy'],
+        failed: ['lint'],
+        passed: ['build'],
+        checks: [
+            { name: 'build', state: 'passed', status: 'completed', conclusion: 'success', url: 'https://example.com/build' },
+            { name: 'lint', state: 'failed', status: 'completed', conclusion: 'failure', url: null },
+            { name: 'deploy', state: 'pending', status: 'queued', conclusion: null, url: null }
+        ]
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockOctokit = {
+            paginate: jest.fn((method, params) => method(params).then(response => response.data)),
+            rest: {
+                issues: {
+                    listComments: jest.fn(),
+                    createComment: jest.fn(),
+                    updateComment: jest.fn(),
+                },
+            },
+        };
+    });
+
+    test('should render a table of every check', () => {
+        const body = buildStickyBody(status);
+
+        expect(body).toContain('❌ **1 check(s) failed**');
+        expect(body).toContain('| [build](https://example.com/build) | ✅ Passed | success |');
+        expect(body).toContain('| lint | ❌ Failed | failure |');
+        expect(body).toContain('| deploy | ⏳ Pending | queued |');
+        expect(body).toContain('<!-- pr-status-check-notifier:sticky -->');
+    });
+
+    test('should create the comment when none exists', async () => {
+        mockOctokit.rest.issues.listComments.mockResolvedValue({
+            data: [{ id: 1, body: 'Unrelated' }]
+        });
+
+        await upsertStickyComment(mockOctokit, context, 123, status);
+
+        expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith({
+            owner: 'test-owner',
+            repo: 'test-repo',
+            issue_number: 123,
+            body: buildStickyBody(status)
+        });
+        expect(mockOctokit.rest.issues.updateComment).not.toHaveBeenCalled();
+    });
+
+    test('should edit the existing comment in place', async () => {
+        mockOctokit.rest.issues.listComments.mockResolvedValue({
+            data: [{ id: 42, body: 'Old table\n<!-- pr-status-check-notifier:sticky -->' }]
+        });
+
+        await upsertStickyComment(mockOctokit, context, 123, status);
+
+        expect(mockOctokit.rest.issues.updateComment).toHaveBeenCalledWith({
+            owner: 'test-owner',
+            repo: 'test-repo',
+            comment_id: 42,
+            body: buildStickyBody(status)
+        });
+        expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+    });
+
+    test('should skip the update when nothing changed', async () => {
+        mockOctokit.rest.issues.listComments.mockResolvedValue({
+            data: [{ id: 42, body: buildStickyBody(status) }]
+        });
+
+        await upsertStickyComment(mockOctokit, context, 123, status);
+
+        expect(mockOctokit.rest.issues.updateComment).not.toHaveBeenCalled();
+        expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+    });
+});
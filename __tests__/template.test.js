@@ -0,0 +1,121 @@
+// __tests__/template.test.js
+const {
+    buildTemplateVariables,
+    describePendingChecks,
+    formatDuration,
+    loadTemplate,
+    renderTemplate,
+    resolveTemplate
+} = require('../src/template');
+
+jest.mock('@actions/core');
+
+describe('Message Templates', () => {
+    const context = { repo: { owner: 'test-owner', repo: 'test-repo' }, actor: 'dependabot[bot]' };
+
+    test('should substitute variables and the legacy {user} placeholder', () => {
+        expect(renderTemplate('@{user} #{{number}} {{title}}', { author: 'octocat', number: 7, title: 'Fix' }))
+            .toBe('@octocat #7 Fix');
+        expect(renderTemplate('{{user}}', { user: 'kept' })).toBe('kept');
+    });
+
+    test('should render conditionals', () => {
+        const template = '{{#if failed}}Failed: {{failed}}{{else}}All good{{/if}}{{#unless pending}}.{{/unless}}';
+
+        expect(renderTemplate(template, { failed: ['lint', 'test'], pending: [] })).toBe('Failed: lint, test.');
+        expect(renderTemplate(template, { failed: [], pending: ['build'] })).toBe('All good');
+    });
+
+    test('should render loops over strings and objects', () => {
+        expect(renderTemplate('{{#each passed}}- {{this}}\n{{/each}}', { passed: ['a', 'b'] })).toBe('- a\n- b\n');
+        expect(renderTemplate('{{#each failures}}[{{name}}]({{url}}){{else}}none{{/each}}', {
+            failures: [{ name: 'lint', url: 'https://example.com' }]
+        })).toBe('[lint](https://example.com)');
+        expect(renderTemplate('{{#each failures}}x{{else}}none{{/each}}', { failures: [] })).toBe('none');
+    });
+
+    test('should reject malformed templates', () => {
+        expect(() => renderTemplate('{{#if failed}}oops', {})).toThrow('Template error: unclosed {{#if}}');
+        expect(() => renderTemplate('{{#each a}}{{/if}}', {})).toThrow('Template error: unexpected {{/if}}');
+        expect(() => renderTemplate('{{ bad tag! }}', {})).toThrow('Template error: unrecognized tag');
+    });
+
+    test('should build variables from the PR rather than the actor', () => {
+        const pr = {
+            number: 7,
+            title: 'Fix',
+            html_url: 'https://github.com/test-owner/test-repo/pull/7',
+            user: { login: 'octocat' },
+            requested_reviewers: [{ login: 'hubot' }],
+            requested_teams: [{ slug: 'core' }],
+            head: { ref: 'feature' },
+            base: { ref: 'main' }
+        };
+        const status = { sha: 'abcdef1234', passed: ['build'], failed: [], pending: [], checks: [] };
+
+        const variables = buildTemplateVariables(context, pr, status, Date.now() - 65000);
+
+        expect(variables).toMatchObject({
+            author: 'octocat',
+            actor: 'dependabot[bot]',
+            reviewers: ['@hubot', '@test-owner/core'],
+            shortSha: 'abcdef1',
+            branch: 'feature',
+            baseBranch: 'main',
+            elapsed: '1m 5s',
+            passed: ['build']
+        });
+    });
+
+    test('should format durations', () => {
+        expect(formatDuration(5000)).toBe('5s');
+        expect(formatDuration(125000)).toBe('2m 5s');
+    });
+
+    test('should describe how long pending checks have waited', () => {
+        const now = Date.parse('2024-01-01T00:10:00Z');
+        const status = {
+            checks: [
+                { name: 'build', state: 'passed', status: 'completed', startedAt: '2024-01-01T00:00:00Z' },
+                { name: 'deploy', state: 'pending', status: 'queued', url: 'https://example.com/deploy', startedAt: '2024-01-01T00:00:00Z' },
+                { name: 'e2e', state: 'pending', status: 'in_progress', startedAt: '2024-01-01T00:08:30Z' },
+                { name: 'security', state: 'pending', status: 'expected', startedAt: null }
+            ]
+        };
+
+        expect(describePendingChecks(status, now)).toEqual([
+            { name: 'deploy', url: 'https://example.com/deploy', status: 'queued', reported: true, waitingMs: 600000, waiting: '10m 0s' },
+            { name: 'e2e', url: undefined, status: 'in progress', reported: true, waitingMs: 90000, waiting: '1m 30s' },
+            { name: 'security', url: undefined, status: 'not reported', reported: false, waitingMs: null, waiting: null }
+        ]);
+    });
+
+    test('should unescape inline messages but not the values rendered into them', async () => {
+        const { template } = await resolveTemplate({}, context, { message: 'Ready:\\n{{title}} \\u2705' }, 'main');
+
+        expect(renderTemplate(template, { title: 'Fix C:\\new\\temp, escape \\*' }))
+            .toBe('Ready:\nFix C:\\new\\temp, escape \\* ✅');
+    });
+
+    test('should load template files from the repository', async () => {
+        const mockOctokit = {
+            rest: {
+                repos: {
+                    getContent: jest.fn().mockResolvedValue({
+                        data: { type: 'file', encoding: 'base64', content: Buffer.from('Hi {{author}}').toString('base64') }
+                    })
+                }
+            }
+        };
+
+        const template = await loadTemplate(mockOctokit, context, '.github/ready.md', 'main');
+
+        expect(template).toBe('Hi {{author}}');
+        expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith({
+            owner: 'test-owner',
+            repo: 'test-repo',
+            path: '.github/ready.md',
+            ref: 'main'
+        });
+    });
+});
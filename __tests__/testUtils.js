@@ -1,4 +1,14 @@
+// Mirrors Octokit's paginate, which unwraps list responses like
+// { total_count, check_runs } into the list itself
+const mockPaginate = () => jest.fn((method, params, mapFn) => method(params).then(response => {
+  if (mapFn) {
+    return mapFn(response);
+  }
+  return Array.isArray(response.data) ? response.data : response.data.check_runs || response.data;
+}));
+
 const createMockOctokit = () => ({
+  paginate: mockPaginate(),
   rest: {
     checks: { listForRef: jest.fn() },
     pulls: { list: jest.fn(), get: jest.fn() },
@@ -7,4 +17,4 @@ const createMockOctokit = () => ({
   }
 });
 
-module.exports = { createMockOctokit };
\ No newline at end of file
+module.exports = { createMockOctokit, mockPaginate };
@@ -0,0 +1,141 @@
+const core = require('@actions/core');
+const { renderTemplate } = require('./template');
+
+const MODES = ['off', 'enable', 'merge'];
+const METHODS = ['merge', 'squash', 'rebase'];
+
+const ENABLE_AUTO_MERGE_MUTATION = `
+  mutation($pullRequestId: ID!, $mergeMethod: PullRequestMergeMethod!, $expectedHeadOid: GitObjectID, $commitHeadline: String) {
+    enablePullRequestAutoMerge(input: {
+      pullRequestId: $pullRequestId,
+      mergeMethod: $mergeMethod,
+      expectedHeadOid: $expectedHeadOid,
+      commitHeadline: $commitHeadline
+    }) {
+      pullRequest { number }
+    }
+  }
+`;
+
+// Resolves to null when merging is off. Merging is opt-in per PR, so a
+// label or an author list has to say which PRs qualify
+function parseMergePolicy(getInput, parseList) {
+  const mode = getInput('auto-merge') || 'off';
+  if (!MODES.includes(mode)) {
+    throw new Error(`Invalid auto-merge: ${mode} (expected ${MODES.join(', ')})`);
+  }
+  if (mode === 'off') {
+    return null;
+  }
+
+  const method = getInput('merge-method') || 'merge';
+  if (!METHODS.includes(method)) {
+    throw new Error(`Invalid merge-method: ${method} (expected ${METHODS.join(', ')})`);
+  }
+
+  const label = getInput('auto-merge-label');
+  const authors = parseList(getInput('auto-merge-authors'));
+  if (!label && authors.length === 0) {
+    throw new Error('auto-merge needs auto-merge-label or auto-merge-authors to pick the PRs it may merge');
+  }
+
+  const commitTitle = getInput('merge-commit-title');
+  renderTemplate(commitTitle, {});
+
+  return { mode, method, label, authors, commitTitle };
+}
+
+function describeIneligibility(pr, policy) {
+  const hasLabel = Boolean(policy.label) && (pr.labels || []).some(label => label.name === policy.label);
+  const allowedAuthor = policy.authors.includes(pr.user?.login);
+  if (hasLabel || allowedAuthor) {
+    return null;
+  }
+  const gates = [
+    policy.label && `the "${policy.label}" label`,
+    policy.authors.length > 0 && `an author in ${policy.authors.join(', ')}`
+  ].filter(Boolean);
+  return `needs ${gates.join(' or ')}`;
+}
+
+function enableAutoMerge(octokit, pr, sha, policy, commitTitle) {
+  return octokit.graphql(ENABLE_AUTO_MERGE_MUTATION, {
+    pullRequestId: pr.node_id,
+    mergeMethod: policy.method.toUpperCase(),
+    expectedHeadOid: sha,
+    commitHeadline: commitTitle || null
+  });
+}
+
+function mergeDirectly(octokit, context, pr, sha, policy, commitTitle) {
+  return octokit.rest.pulls.merge({
+    ...context.repo,
+    pull_number: pr.number,
+    sha,
+    merge_method: policy.method,
+    ...(commitTitle ? { commit_title: commitTitle } : {})
+  });
+}
+
+// Merges the PR, or enables auto-merge, once it has been evaluated as ready
+// at `sha`. Resolves to `{ result, message }`, where `result` is one of
+// merged, auto-merge-enabled, skipped, head-changed or failed and `message`
+// is the line for the comment, or null when there is nothing to say
+async function mergePullRequest(octokit, context, prNumber, sha, policy, variables) {
+  const { data: pr } = await octokit.rest.pulls.get({
+    ...context.repo,
+    pull_number: prNumber
+  });
+
+  const ineligible = describeIneligibility(pr, policy);
+  if (ineligible) {
+    core.info(`Not merging PR #${prNumber}: it ${ineligible}`);
+    return { result: 'skipped', message: null };
+  }
+  if (pr.merged) {
+    return { result: 'merged', message: null };
+  }
+
+  // Merging a commit other than the one that was evaluated would skip its checks
+  if (pr.head.sha !== sha) {
+    core.warning(`Not merging PR #${prNumber}: head moved from ${sha} to ${pr.head.sha} after evaluation`);
+    return {
+      result: 'head-changed',
+      message: `⚠️ Not merged: a new commit (${pr.head.sha.substring(0, 7)}) was pushed after the checks were evaluated.`
+    };
+  }
+
+  const commitTitle = renderTemplate(policy.commitTitle, variables);
+  try {
+    if (policy.mode === 'enable') {
+      if (!pr.auto_merge) {
+        await enableAutoMerge(octokit, pr, sha, policy, commitTitle);
+      }
+      core.info(`Enabled auto-merge (${policy.method}) on PR #${prNumber}`);
+      return {
+        result: 'auto-merge-enabled',
+        message: `🤖 Auto-merge (${policy.method}) is enabled; GitHub merges the PR once every requirement is met.`
+      };
+    }
+
+    await mergeDirectly(octokit, context, pr, sha, policy, commitTitle);
+    core.info(`Merged PR #${prNumber} with ${policy.method}`);
+    return { result: 'merged', message: `🚀 Merged (${policy.method}).` };
+  } catch (error) {
+    // The merge API answers 409 when the head no longer matches `sha`
+    if (error.status === 409) {
+      core.warning(`Not merging PR #${prNumber}: ${error.message}`);
+      return {
+        result: 'head-changed',
+        message: '⚠️ Not merged: a new commit was pushed after the checks were evaluated.'
+      };
+    }
+    core.warning(`Failed to merge PR #${prNumber}: ${error.message}`);
+    return { result: 'failed', message: `⚠️ Auto-merge failed: ${error.message}` };
+  }
+}
+
+module.exports = {
+  mergePullRequest,
+  parseMergePolicy
+};
@@ -0,0 +1,51 @@
+const core = require('@actions/core');
+
+// Re-running a job adds a check run next to the old one, so attempts are
+// grouped by check suite, app and name
+function attemptKey(checkRun) {
+  const suite = checkRun.check_suite?.id ?? '';
+  const app = checkRun.app?.id ?? checkRun.app?.slug ?? '';
+  return `${suite}:${app}:${checkRun.name}`;
+}
+
+function isNewer(candidate, current) {
+  const started = candidate.started_at || '';
+  const currentStarted = current.started_at || '';
+  if (started !== currentStarted) {
+    return started > currentStarted;
+  }
+  return (candidate.id || 0) > (current.id || 0);
+}
+
+// Keeps the latest attempt of every check and logs the ones it replaces
+function collapseAttempts(checkRuns) {
+  const latest = new Map();
+  const superseded = [];
+
+  checkRuns.forEach(checkRun => {
+    const key = attemptKey(checkRun);
+    const current = latest.get(key);
+    if (!current) {
+      latest.set(key, checkRun);
+    } else if (isNewer(checkRun, current)) {
+      superseded.push({ attempt: current, replacedBy: checkRun });
+      latest.set(key, checkRun);
+    } else {
+      superseded.push({ attempt: checkRun, replacedBy: current });
+    }
+  });
+
+  superseded.forEach(({ attempt, replacedBy }) => {
+    const app = attempt.app?.slug ? ` [${attempt.app.slug}]` : '';
+    core.info(`Ignoring superseded attempt of "${attempt.name}"${app}: run ${attempt.id} ` +
+      `(${attempt.status}/${attempt.conclusion}) was replaced by run ${replacedBy.id}`);
+  });
+
+  // Keeps the API's order for logs and reports
+  const kept = new Set(latest.values());
+  return checkRuns.filter(checkRun => kept.has(checkRun));
+}
+
+module.exports = {
+  collapseAttempts
+};
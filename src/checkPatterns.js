@@ -0,0 +1,73 @@
+// Patterns look like `name`, `build-*`, `/^e2e-\d+$/i` or `atlantis:apply`,
+// where the optional `app:` prefix scopes the pattern to a GitHub App slug
+
+function escapeRegExp(value) {
+  return value.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+function globToRegExp(glob) {
+  const source = escapeRegExp(glob)
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function parsePattern(raw) {
+  const source = raw.trim();
+  let app = null;
+  let pattern = source;
+
+  // A leading regex is never split, so colons inside it stay untouched
+  const scoped = !source.startsWith('/') && source.match(/^([a-z0-9][a-z0-9-]*):(\S.*)$/i);
+  if (scoped) {
+    app = scoped[1].toLowerCase();
+    pattern = scoped[2];
+  }
+
+  let regex;
+  const literal = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (literal) {
+    try {
+      // Stateful flags would make repeated test() calls alternate results
+      regex = new RegExp(literal[1], literal[2].replace(/[gy]/g, ''));
+    } catch (error) {
+      throw new Error(`Invalid check pattern "${source}": ${error.message}`);
+    }
+  } else {
+    regex = globToRegExp(pattern);
+  }
+
+  return { source, app, regex };
+}
+
+// Lists are comma separated, or one per line when a regex needs commas
+function parsePatternList(value) {
+  if (!value) {
+    return [];
+  }
+
+  const separator = value.includes('\n') ? '\n' : ',';
+  return value
+    .split(separator)
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function matchesPattern(pattern, check) {
+  const name = check.name || check.context;
+  if (pattern.app && check.app?.slug?.toLowerCase() !== pattern.app) {
+    return false;
+  }
+  return pattern.regex.test(name);
+}
+
+function findMatch(patterns, check) {
+  return patterns.find(pattern => matchesPattern(pattern, check)) || null;
+}
+
+module.exports = {
+  findMatch,
+  matchesPattern,
+  parsePattern,
+  parsePatternList
+};
@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+// Checks a PR's readiness from a terminal or another CI system:
+//   pr-notifier check owner/repo#123 [--watch] [--json]
+const { parseArgs } = require('util');
+const { Octokit } = require('@octokit/rest');
+const { parsePattern, parsePatternList } = require('./checkPatterns');
+const { createClientPlugin, createClientState } = require('./githubClient');
+const { buildTemplateVariables, renderTemplate, unescapeMessage } = require('./template');
+const { checkStatus, createComment, isPRMergeable } = require('./index');
+
+const USAGE = `Usage: pr-notifier check <owner/repo#number> [options]
+
+Options:
+  --token <token>       GitHub token (env: GITHUB_TOKEN or GH_TOKEN)
+  --exclude <patterns>  Check patterns to ignore (env: PR_NOTIFIER_EXCLUDED_CHECKS)
+  --include <patterns>  Only watch these check patterns (env: PR_NOTIFIER_INCLUDED_CHECKS)
+  --message <template>  Comment to post once the PR is ready (env: PR_NOTIFIER_MESSAGE)
+  --once                Evaluate once and exit (default)
+  --watch               Poll until the checks finish or --timeout is hit
+  --interval <seconds>  Poll interval for --watch (default: 30)
+  --timeout <minutes>   Give up watching after this long (default: 30)
+  --json                Print the report as JSON; logs go to stderr
+  --help                Show this help
+
+Exit codes: 0 ready, 1 failed or not mergeable, 2 pending or timed out, 3 error`;
+
+const EXIT_CODES = {
+  ready: 0,
+  failed: 1,
+  'not-mergeable': 1,
+  pending: 2,
+  timeout: 2
+};
+const EXIT_ERROR = 3;
+
+function parseTarget(value) {
+  const match = (value || '').match(/^([\w.-]+)\/([\w.-]+)#(\d+)$/);
+  if (!match) {
+    throw new Error(`Expected a PR like owner/repo#123, got "${value || ''}"`);
+  }
+  return { owner: match[1], repo: match[2], number: parseInt(match[3], 10) };
+}
+
+function parseCliArgs(argv, env = process.env) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      token: { type: 'string' },
+      exclude: { type: 'string', multiple: true },
+      include: { type: 'string', multiple: true },
+      message: { type: 'string' },
+      once: { type: 'boolean' },
+      watch: { type: 'boolean' },
+      interval: { type: 'string' },
+      timeout: { type: 'string' },
+      json: { type: 'boolean' },
+      help: { type: 'boolean' }
+    }
+  });
+
+  if (values.help) {
+    return { help: true };
+  }
+
+  const [command, target] = positionals;
+  if (command !== 'check') {
+    throw new Error(command ? `Unknown command "${command}"` : 'Missing command');
+  }
+  if (values.once && values.watch) {
+    throw new Error('--once and --watch cannot be combined');
+  }
+
+  const token = values.token || env.GITHUB_TOKEN || env.GH_TOKEN;
+  if (!token) {
+    throw new Error('A token is required: pass --token or set GITHUB_TOKEN');
+  }
+
+  const list = (flag, name) => flag ? flag.flatMap(parsePatternList) : parsePatternList(env[name]);
+  const excludedChecks = list(values.exclude, 'PR_NOTIFIER_EXCLUDED_CHECKS');
+  const includedChecks = list(values.include, 'PR_NOTIFIER_INCLUDED_CHECKS');
+  [...excludedChecks, ...includedChecks].forEach(parsePattern);
+
+  const interval = parseInt(values.interval || '30', 10);
+  const timeout = parseInt(values.timeout || '30', 10);
+  if (Number.isNaN(interval) || interval <= 0) {
+    throw new Error(`Invalid --interval: ${values.interval}`);
+  }
+  if (Number.isNaN(timeout) || timeout <= 0) {
+    throw new Error(`Invalid --timeout: ${values.timeout}`);
+  }
+
+  const message = values.message ?? env.PR_NOTIFIER_MESSAGE ?? '';
+  // Reports template syntax errors before any API call
+  renderTemplate(message, {});
+
+  return {
+    target: parseTarget(target),
+    token,
+    excludedChecks,
+    includedChecks,
+    message,
+    watch: Boolean(values.watch),
+    pollInterval: interval * 1000,
+    timeoutMs: timeout * 60 * 1000,
+    json: Boolean(values.json)
+  };
+}
+
+function describeResult(status, mergeable) {
+  if (status.allPassed) return mergeable ? 'ready' : 'not-mergeable';
+  if (status.allCompleted && status.failed.length > 0) return 'failed';
+  return 'pending';
+}
+
+// Evaluates the PR once, commenting when it is ready and a message is set
+async function checkPullRequest(octokit, context, args) {
+  const { number } = args.target;
+  const { data: pr } = await octokit.rest.pulls.get({
+    ...context.repo,
+    pull_number: number
+  });
+
+  const status = await checkStatus(octokit, context, args.excludedChecks, {
+    sha: pr.head.sha,
+    includedChecks: args.includedChecks
+  });
+  const mergeable = status.allPassed && await isPRMergeable(octokit, context, number);
+  const state = describeResult(status, mergeable);
+
+  let commented = false;
+  if (state === 'ready' && args.message) {
+    const body = renderTemplate(unescapeMessage(args.message), buildTemplateVariables(context, pr, status));
+    commented = await createComment(octokit, context, number, body, { sha: status.sha }) === 'sent';
+  }
+
+  return {
+    repository: `${context.repo.owner}/${context.repo.repo}`,
+    number,
+    title: pr.title,
+    url: pr.html_url,
+    sha: status.sha,
+    state,
+    mergeable,
+    passed: status.passed,
+    failed: status.failed,
+    pending: status.pending,
+    commented
+  };
+}
+
+async function watchPullRequest(octokit, context, args, sleep) {
+  const startTime = Date.now();
+
+  while (true) {
+    const report = await checkPullRequest(octokit, context, args);
+    if (!args.watch || report.state !== 'pending') {
+      return report;
+    }
+    if (Date.now() - startTime + args.pollInterval > args.timeoutMs) {
+      return { ...report, state: 'timeout' };
+    }
+    await sleep(args.pollInterval);
+  }
+}
+
+function formatReport(report) {
+  const lines = [
+    `${report.repository}#${report.number}: ${report.title}`,
+    `Head: ${report.sha}`,
+    `State: ${report.state}`
+  ];
+  if (report.passed.length > 0) lines.push(`Passed: ${report.passed.join(', ')}`);
+  if (report.failed.length > 0) lines.push(`Failed: ${report.failed.join(', ')}`);
+  if (report.pending.length > 0) lines.push(`Pending: ${report.pending.join(', ')}`);
+  if (report.commented) lines.push('Posted a ready comment');
+  return lines.join('\n');
+}
+
+// Resolves to the exit code
+async function main(argv, { env = process.env, stdout = process.stdout, stderr = process.stderr, sleep } = {}) {
+  let args;
+  try {
+    args = parseCliArgs(argv, env);
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return EXIT_ERROR;
+  }
+
+  if (args.help) {
+    stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  // The shared modules log through stdout, which has to stay parseable
+  const originalWrite = stdout.write;
+  const write = originalWrite.bind(stdout);
+  if (args.json) {
+    stdout.write = stderr.write.bind(stderr);
+  }
+
+  try {
+    const octokit = new (Octokit.plugin(createClientPlugin(createClientState())))({ auth: args.token });
+    const context = {
+      repo: { owner: args.target.owner, repo: args.target.repo },
+      payload: {},
+      actor: env.USER || ''
+    };
+
+    const report = await watchPullRequest(octokit, context, args,
+      sleep || (ms => new Promise(resolve => setTimeout(resolve, ms))));
+
+    write(args.json ? `${JSON.stringify(report, null, 2)}\n` : `${formatReport(report)}\n`);
+    return EXIT_CODES[report.state];
+  } catch (error) {
+    stderr.write(`Error: ${error.message}\n`);
+    return EXIT_ERROR;
+  } finally {
+    stdout.write = originalWrite;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  checkPullRequest,
+  main,
+  parseCliArgs,
+  parseTarget
+};
@@ -0,0 +1,132 @@
+const core = require('@actions/core');
+
+const CODEOWNERS_PATHS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+function escapeRegExp(value) {
+  return value.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+// CODEOWNERS uses gitignore-style patterns
+function patternToRegExp(pattern) {
+  let body = pattern;
+  const anchored = body.startsWith('/') || body.replace(/\/$/, '').includes('/');
+  body = body.replace(/^\//, '').replace(/\/$/, '');
+
+  // `docs/*` covers files directly in docs/, not nested ones
+  const shallow = body.endsWith('/*');
+
+  let source = '';
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (char === '*' && body[i + 1] === '*') {
+      if (body[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  const prefix = anchored ? '^' : '^(?:.*/)?';
+  const suffix = shallow ? '$' : '(?:/.*)?$';
+  return new RegExp(`${prefix}${source}${suffix}`);
+}
+
+function parseCodeowners(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+    .filter(Boolean)
+    .map(line => {
+      const [pattern, ...owners] = line.split(/\s+/);
+      return { pattern, regex: patternToRegExp(pattern), owners };
+    });
+}
+
+// The last matching rule wins, and a rule without owners unsets ownership
+function ownersForFile(rules, path) {
+  for (let i = rules.length - 1; i >= 0; i--) {
+    if (rules[i].regex.test(path)) {
+      return rules[i].owners;
+    }
+  }
+  return [];
+}
+
+async function loadCodeowners(octokit, context, ref) {
+  for (const path of CODEOWNERS_PATHS) {
+    try {
+      const { data } = await octokit.rest.repos.getContent({
+        ...context.repo,
+        path,
+        ref
+      });
+      return parseCodeowners(Buffer.from(data.content, data.encoding || 'base64').toString('utf8'));
+    } catch (error) {
+      if (error.status !== 404) {
+        core.warning(`Failed to read ${path}: ${error.message}`);
+      }
+    }
+  }
+
+  core.info(`No CODEOWNERS file found on ${ref}`);
+  return [];
+}
+
+async function listChangedFiles(octokit, context, prNumber) {
+  const files = await octokit.paginate(octokit.rest.pulls.listFiles, {
+    ...context.repo,
+    pull_number: prNumber,
+    per_page: 100
+  });
+  return files.map(file => file.filename);
+}
+
+async function isTeamMember(octokit, owner, username) {
+  const [org, teamSlug] = owner.replace(/^@/, '').split('/');
+  try {
+    const { data } = await octokit.rest.teams.getMembershipForUserInOrg({
+      org,
+      team_slug: teamSlug,
+      username
+    });
+    return data.state === 'active';
+  } catch (error) {
+    if (error.status !== 404) {
+      core.warning(`Failed to check ${username} in ${owner}: ${error.message}`);
+    }
+    return false;
+  }
+}
+
+// Whether any of `logins` is one of `owners`, expanding @org/team owners
+async function isOwnedBy(octokit, owners, logins) {
+  for (const owner of owners) {
+    if (owner.includes('/')) {
+      for (const login of logins) {
+        if (await isTeamMember(octokit, owner, login)) {
+          return true;
+        }
+      }
+    } else if (logins.some(login => `@${login}`.toLowerCase() === owner.toLowerCase())) {
+      return true;
+    }
+  }
+  return false;
+}
+
+module.exports = {
+  isOwnedBy,
+  listChangedFiles,
+  loadCodeowners,
+  ownersForFile,
+  parseCodeowners
+};
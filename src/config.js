@@ -0,0 +1,234 @@
+const core = require('@actions/core');
+const yaml = require('js-yaml');
+const { matchesPattern, parsePattern, parsePatternList } = require('./checkPatterns');
+
+const DEFAULT_CONFIG_PATH = '.github/pr-notifier.yml';
+
+// Keys mirror the action inputs they replace; the kind decides how a value
+// is validated and turned back into an input string
+const SETTINGS = {
+  'excluded-checks': 'list',
+  'included-checks': 'list',
+  'expected-checks': 'list',
+  'settle-polls': 'count',
+  'settle-period': 'count',
+  'only-required-checks': 'flag',
+  'notification-message': 'text',
+  'notification-template-file': 'text',
+  'failure-message': 'text',
+  'failure-template-file': 'text',
+  'timeout-message': 'text',
+  'timeout-template-file': 'text',
+  'review-message': 'text',
+  'review-template-file': 'text',
+  'notify-reviewers': 'flag',
+  'opt-out-label': 'text',
+  'notify-on-failure': 'flag',
+  'sticky-comment': 'flag',
+  'ready-check': 'text',
+  'ready-check-name': 'text',
+  'pending-label': 'text',
+  'failed-label': 'text',
+  'passed-label': 'text',
+  'ready-label': 'text',
+  'auto-merge': 'text',
+  'auto-merge-label': 'text',
+  'auto-merge-authors': 'list',
+  'merge-method': 'text',
+  'merge-commit-title': 'text',
+  'timeout-comment': 'flag',
+  'fail-on-timeout': 'flag',
+  'stall-threshold': 'count',
+  'min-approvals': 'count',
+  'block-on-changes-requested': 'flag',
+  'require-code-owner-approval': 'flag',
+  'ignore-drafts': 'flag',
+  'required-labels': 'list',
+  'forbidden-labels': 'list',
+  'mergeable-states': 'list',
+  'rerun-checks': 'list',
+  'rerun-max-attempts': 'count',
+  'slack-webhook-url': 'text',
+  'teams-webhook-url': 'text',
+  'webhook-url': 'text'
+};
+
+const MATCHERS = ['branches', 'labels'];
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value : parsePatternList(value);
+}
+
+function validateValue(kind, value) {
+  switch (kind) {
+    case 'list':
+      return typeof value === 'string' || (Array.isArray(value) && value.every(item => typeof item === 'string'))
+        ? null
+        : 'must be a string or a list of strings';
+    case 'flag':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'count':
+      return Number.isInteger(value) && value >= 0 ? null : 'must be a non-negative integer';
+    default:
+      return typeof value === 'string' ? null : 'must be a string';
+  }
+}
+
+function validateSettings(settings, path, errors, extraKeys = []) {
+  Object.entries(settings).forEach(([key, value]) => {
+    if (extraKeys.includes(key)) {
+      return;
+    }
+    if (!(key in SETTINGS)) {
+      errors.push(`${path}${key} is not a known setting`);
+      return;
+    }
+    const problem = validateValue(SETTINGS[key], value);
+    if (problem) {
+      errors.push(`${path}${key} ${problem}`);
+    }
+  });
+}
+
+function validateOverride(override, path, errors) {
+  if (!isPlainObject(override)) {
+    errors.push(`${path} must be a mapping`);
+    return;
+  }
+
+  if (!MATCHERS.some(key => key in override)) {
+    errors.push(`${path} needs branches or labels to match on`);
+  }
+  MATCHERS.filter(key => key in override).forEach(key => {
+    const problem = validateValue('list', override[key]);
+    if (problem) {
+      errors.push(`${path}.${key} ${problem}`);
+    }
+  });
+  if (validateValue('list', override.branches ?? []) === null) {
+    toList(override.branches ?? []).forEach(branch => {
+      try {
+        parsePattern(branch);
+      } catch (error) {
+        errors.push(`${path}.branches: ${error.message}`);
+      }
+    });
+  }
+
+  validateSettings(override, `${path}.`, errors, MATCHERS);
+}
+
+// Collects every problem so one run reports all of them
+function validateConfig(config, file) {
+  const errors = [];
+
+  if (!isPlainObject(config)) {
+    errors.push('the file must contain a mapping of settings');
+  } else {
+    validateSettings(config, '', errors, ['overrides']);
+
+    if ('overrides' in config) {
+      if (!Array.isArray(config.overrides)) {
+        errors.push('overrides must be a list');
+      } else {
+        config.overrides.forEach((override, index) => validateOverride(override, `overrides[${index}]`, errors));
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${file}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+  return config;
+}
+
+const configCache = new Map();
+
+// Resolves to null when the repository has no config file on `ref`
+async function loadConfig(octokit, context, path, ref) {
+  const key = `${ref}:${path}`;
+  if (configCache.has(key)) {
+    return configCache.get(key);
+  }
+
+  let text;
+  try {
+    const { data } = await octokit.rest.repos.getContent({
+      ...context.repo,
+      path,
+      ref
+    });
+    text = Buffer.from(data.content, data.encoding || 'base64').toString('utf8');
+  } catch (error) {
+    if (error.status !== 404) {
+      throw new Error(`Failed to load ${path}@${ref}: ${error.message}`);
+    }
+    core.info(`No config file ${path} on ${ref}`);
+    configCache.set(key, null);
+    return null;
+  }
+
+  let config;
+  try {
+    config = yaml.load(text) ?? {};
+  } catch (error) {
+    throw new Error(`Invalid ${path}@${ref}: ${error.message}`);
+  }
+
+  validateConfig(config, `${path}@${ref}`);
+  core.info(`Loaded config from ${path}@${ref}`);
+  configCache.set(key, config);
+  return config;
+}
+
+function matchesOverride(override, branch, labels) {
+  const branches = toList(override.branches || []);
+  const wanted = toList(override.labels || []);
+
+  if (branches.length > 0 && !branches.some(pattern => matchesPattern(parsePattern(pattern), { name: branch }))) {
+    return false;
+  }
+  return wanted.length === 0 || wanted.some(label => labels.includes(label));
+}
+
+// Overrides apply in file order on top of the top-level settings
+function resolveConfigSettings(config, pr) {
+  const labels = (pr.labels || []).map(label => label.name);
+  const { overrides = [], ...settings } = config;
+
+  overrides.forEach((override, index) => {
+    if (matchesOverride(override, pr.base.ref, labels)) {
+      core.info(`Applying config override #${index + 1} to PR #${pr.number}`);
+      Object.entries(override)
+        .filter(([key]) => !MATCHERS.includes(key))
+        .forEach(([key, value]) => { settings[key] = value; });
+    }
+  });
+
+  return settings;
+}
+
+function formatSetting(value) {
+  if (Array.isArray(value)) {
+    // One per line, so regex patterns with commas survive
+    return value.map(item => `${item}\n`).join('');
+  }
+  return String(value);
+}
+
+// Reads from the config settings first and falls back to the action inputs
+function createConfigInput(settings, getInput) {
+  return name => name in settings ? formatSetting(settings[name]) : getInput(name);
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  createConfigInput,
+  loadConfig,
+  resolveConfigSettings,
+  validateConfig
+};
@@ -0,0 +1,139 @@
+const core = require('@actions/core');
+
+const MARKER_PATTERN = /<!-- pr-status-check-notifier:([\w.-]+)/;
+
+const REASONS = {
+  success: 'all checks passed and the PR is ready',
+  failure: 'checks failed',
+  timeout: 'timed out waiting for checks',
+  sticky: 'status comment changed',
+  merge: 'merge outcome',
+  review: 'checks passed and reviews are missing'
+};
+
+// Comments carry a notification marker, which names why they are posted
+function describeReason(body, url, query) {
+  const type = typeof body === 'string' ? body.match(MARKER_PATTERN)?.[1] : null;
+  if (type?.startsWith('stall-')) {
+    return 'check looks stuck';
+  }
+  if (type && REASONS[type]) {
+    return REASONS[type];
+  }
+  if (/\/(rerequest|rerun)$/.test(url)) {
+    return 'flaky check failed';
+  }
+  if (/\/(check-runs|statuses)(\/\w+)?$/.test(url)) {
+    return 'ready check changed';
+  }
+  if (/\/labels(\/[^/]+)?$/.test(url)) {
+    return 'state label changed';
+  }
+  if (/\/pulls\/\d+\/merge$/.test(url) || /enablePullRequestAutoMerge/.test(query || '')) {
+    return 'PR is ready to merge';
+  }
+  return 'unknown';
+}
+
+function isWrite(options) {
+  if (options.method === 'GET' || options.method === 'HEAD') {
+    return false;
+  }
+  // GraphQL queries are POSTs too, but only mutations change anything
+  if (options.url === '/graphql') {
+    return /^\s*mutation\b/.test(options.query || '');
+  }
+  return true;
+}
+
+function record(recorder, action) {
+  recorder.actions.push(action);
+  core.info(`[dry-run] Would ${action.request} on ${action.target} (${action.reason})`);
+  if (action.body) {
+    action.body.split('\n').forEach(line => core.info(`[dry-run]   ${line}`));
+  }
+}
+
+function createDryRunRecorder() {
+  return { actions: [] };
+}
+
+// Octokit plugin answering every write request with an empty success, so the
+// full evaluation runs without changing anything on GitHub
+function createDryRunPlugin(recorder) {
+  return octokit => {
+    octokit.hook.wrap('request', async (request, options) => {
+      if (!isWrite(options)) {
+        return request(options);
+      }
+
+      const { method, url } = octokit.request.endpoint.parse(options);
+      const prNumber = options.issue_number || options.pull_number;
+      record(recorder, {
+        target: prNumber ? `PR #${prNumber}` : url,
+        request: `${method} ${url.replace(/^https:\/\/[^/]+/, '')}`,
+        reason: describeReason(options.body, url, options.query),
+        body: typeof options.body === 'string' ? options.body : null
+      });
+
+      return { status: 200, url, headers: {}, data: {} };
+    });
+
+    return {};
+  };
+}
+
+// Channel notifications leave through fetch rather than Octokit
+function wrapNotifiers(notifiers, recorder) {
+  if (!recorder) {
+    return notifiers;
+  }
+  return notifiers.map(notifier => ({
+    name: notifier.name,
+    send: async payload => record(recorder, {
+      target: `PR #${payload.pullRequest.number}`,
+      request: `notify ${notifier.name}`,
+      reason: payload.event,
+      body: payload.message
+    })
+  }));
+}
+
+function escapeHtml(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+async function writeDryRunSummary(recorder) {
+  try {
+    core.summary.addHeading('Dry run', 2);
+    if (recorder.actions.length === 0) {
+      core.summary.addRaw('Nothing would have been posted.', true);
+    } else {
+      core.summary.addTable([
+        [
+          { data: 'Target', header: true },
+          { data: 'Request', header: true },
+          { data: 'Reason', header: true },
+          { data: 'Body', header: true }
+        ],
+        ...recorder.actions.map(action => [
+          action.target,
+          `<code>${escapeHtml(action.request)}</code>`,
+          action.reason,
+          action.body ? `<pre>${escapeHtml(action.body)}</pre>` : ''
+        ])
+      ]);
+    }
+    await core.summary.write();
+  } catch (error) {
+    core.warning(`Failed to write job summary: ${error.message}`);
+  }
+}
+
+module.exports = {
+  createDryRunPlugin,
+  createDryRunRecorder,
+  describeReason,
+  wrapNotifiers,
+  writeDryRunSummary
+};
@@ -0,0 +1,127 @@
+const core = require('@actions/core');
+
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_BASE_DELAY_MS = 1000;
+
+// Shared by every request made through one Octokit instance
+function createClientState(options = {}) {
+  return {
+    etags: new Map(),
+    rateLimit: null,
+    maxRetries: options.maxRetries ?? DEFAULT_MAX_RETRIES,
+    baseDelay: options.baseDelay ?? DEFAULT_BASE_DELAY_MS,
+    sleep: options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)))
+  };
+}
+
+function recordRateLimit(state, headers = {}) {
+  const remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+  const limit = parseInt(headers['x-ratelimit-limit'], 10);
+  const reset = parseInt(headers['x-ratelimit-reset'], 10);
+
+  if (!Number.isNaN(remaining) && !Number.isNaN(limit)) {
+    state.rateLimit = { remaining, limit, reset: Number.isNaN(reset) ? null : reset * 1000 };
+  }
+}
+
+function isSecondaryRateLimit(error) {
+  if (error.status !== 403 && error.status !== 429) {
+    return false;
+  }
+  return Boolean(error.response?.headers?.['retry-after']) || /secondary rate limit/i.test(error.message);
+}
+
+// A server error can arrive after a write went through, like a comment that
+// was posted before the 502, so only reads are retried on one. GraphQL
+// queries are POSTs too, but only mutations change anything
+function isRead(options) {
+  if (options.method === 'GET' || options.method === 'HEAD') {
+    return true;
+  }
+  return options.url === '/graphql' && !/^\s*mutation\b/.test(options.query || '');
+}
+
+// Secondary rate limits reject the request before it runs, so any method
+// can be retried
+function isRetryable(error, options) {
+  return (error.status >= 500 && isRead(options)) || isSecondaryRateLimit(error);
+}
+
+function getRetryDelay(state, error, attempt) {
+  const retryAfter = parseInt(error.response?.headers?.['retry-after'], 10);
+  if (!Number.isNaN(retryAfter)) {
+    return retryAfter * 1000;
+  }
+  return state.baseDelay * 2 ** attempt;
+}
+
+// Octokit plugin adding conditional requests, rate limit tracking and retries
+function createClientPlugin(state) {
+  return octokit => {
+    octokit.hook.wrap('request', async (request, options) => {
+      const isGet = options.method === 'GET';
+      const key = isGet ? octokit.request.endpoint.parse(options).url : null;
+      const cached = key && state.etags.get(key);
+
+      // A 304 for a conditional request does not count against the rate limit
+      if (cached) {
+        options.headers = { ...options.headers, 'if-none-match': cached.etag };
+      }
+
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const response = await request(options);
+          recordRateLimit(state, response.headers);
+
+          if (key && response.headers.etag) {
+            state.etags.set(key, { etag: response.headers.etag, response });
+          }
+          return response;
+        } catch (error) {
+          recordRateLimit(state, error.response?.headers);
+
+          if (error.status === 304 && cached) {
+            return cached.response;
+          }
+
+          if (attempt >= state.maxRetries || !isRetryable(error, options)) {
+            throw error;
+          }
+
+          const delay = getRetryDelay(state, error, attempt);
+          core.warning(`${options.method} ${options.url} failed with ${error.status}, retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 1}/${state.maxRetries})`);
+          await state.sleep(delay);
+        }
+      }
+    });
+
+    return {};
+  };
+}
+
+// Stretches the poll interval as the remaining budget shrinks, and waits for
+// the reset once it is exhausted
+function getPollInterval(state, baseInterval, now = Date.now()) {
+  const { rateLimit } = state;
+  if (!rateLimit || rateLimit.limit === 0) {
+    return baseInterval;
+  }
+
+  if (rateLimit.remaining === 0 && rateLimit.reset) {
+    return Math.max(baseInterval, rateLimit.reset - now);
+  }
+
+  const ratio = rateLimit.remaining / rateLimit.limit;
+  if (ratio >= 0.5) {
+    return baseInterval;
+  }
+
+  const factor = Math.min(0.5 / Math.max(ratio, 0.01), 10);
+  return Math.round(baseInterval * factor);
+}
+
+module.exports = {
+  createClientPlugin,
+  createClientState,
+  getPollInterval
+};
@@ -0,0 +1,191 @@
+const core = require('@actions/core');
+
+// Everything needed to judge a PR, with the rollup contexts paginated
+const PULL_REQUEST_STATE_QUERY = `
+  query($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequest(number: $number) {
+        number
+        title
+        url
+        isDraft
+        mergeable
+        mergeStateStatus
+        reviewDecision
+        baseRefName
+        headRefName
+        headRefOid
+        author { login }
+        labels(first: 100) { nodes { name } }
+        latestOpinionatedReviews(first: 100) {
+          nodes {
+            state
+            author { login ... on User { databaseId } }
+          }
+        }
+        commits(last: 1) {
+          nodes {
+            commit {
+              oid
+              statusCheckRollup {
+                state
+                contexts(first: 100, after: $cursor) {
+                  pageInfo { hasNextPage endCursor }
+                  nodes {
+                    __typename
+                    ... on CheckRun {
+                      databaseId
+                      name
+                      status
+                      conclusion
+                      detailsUrl
+                      startedAt
+                      completedAt
+                      summary
+                      checkSuite { databaseId app { databaseId slug } }
+                    }
+                    ... on StatusContext {
+                      context
+                      state
+                      targetUrl
+                      description
+                      createdAt
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// For REST-sourced PRs, which don't carry the review decision
+const REVIEW_DECISION_QUERY = `
+  query($owner: String!, $repo: String!, $number: Int!) {
+    repository(owner: $owner, name: $repo) {
+      pullRequest(number: $number) { reviewDecision }
+    }
+  }
+`;
+
+const MERGEABLE = {
+  MERGEABLE: true,
+  CONFLICTING: false,
+  UNKNOWN: null
+};
+
+function lower(value) {
+  return value ? value.toLowerCase() : null;
+}
+
+function toCheckRun(node) {
+  return {
+    id: node.databaseId,
+    name: node.name,
+    status: lower(node.status),
+    conclusion: lower(node.conclusion),
+    details_url: node.detailsUrl,
+    started_at: node.startedAt,
+    completed_at: node.completedAt,
+    output: { summary: node.summary },
+    check_suite: { id: node.checkSuite?.databaseId },
+    app: node.checkSuite?.app
+      ? { id: node.checkSuite.app.databaseId, slug: node.checkSuite.app.slug }
+      : null
+  };
+}
+
+function toStatus(node) {
+  return {
+    context: node.context,
+    state: lower(node.state),
+    target_url: node.targetUrl,
+    description: node.description,
+    created_at: node.createdAt
+  };
+}
+
+// Shapes the PR like the REST pulls.get response used by the readiness rules
+function toPullRequest(pr) {
+  return {
+    number: pr.number,
+    title: pr.title,
+    html_url: pr.url,
+    draft: pr.isDraft,
+    mergeable: MERGEABLE[pr.mergeable] ?? null,
+    mergeable_state: lower(pr.mergeStateStatus),
+    review_decision: pr.reviewDecision,
+    user: pr.author ? { login: pr.author.login } : null,
+    labels: pr.labels.nodes.map(label => ({ name: label.name })),
+    head: { ref: pr.headRefName, sha: pr.headRefOid },
+    base: { ref: pr.baseRefName }
+  };
+}
+
+function toReview(node) {
+  const login = node.author?.login;
+  return {
+    user: { id: node.author?.databaseId ?? login, login },
+    state: node.state
+  };
+}
+
+async function fetchPullRequestState(octokit, context, prNumber) {
+  const statuses = [];
+  const checkRuns = [];
+  let pullRequest = null;
+  let cursor = null;
+
+  do {
+    const { repository } = await octokit.graphql(PULL_REQUEST_STATE_QUERY, {
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      number: prNumber,
+      cursor
+    });
+
+    pullRequest = repository.pullRequest;
+    const rollup = pullRequest.commits.nodes[0]?.commit.statusCheckRollup;
+    const contexts = rollup?.contexts;
+
+    (contexts?.nodes || []).forEach(node => {
+      if (node.__typename === 'CheckRun') {
+        checkRuns.push(toCheckRun(node));
+      } else if (node.__typename === 'StatusContext') {
+        statuses.push(toStatus(node));
+      }
+    });
+
+    cursor = contexts?.pageInfo.hasNextPage ? contexts.pageInfo.endCursor : null;
+  } while (cursor);
+
+  core.info(`Review decision: ${pullRequest.reviewDecision || 'none'}`);
+
+  return {
+    sha: pullRequest.headRefOid,
+    statuses,
+    checkRuns,
+    pr: toPullRequest(pullRequest),
+    reviews: pullRequest.latestOpinionatedReviews.nodes.map(toReview)
+  };
+}
+
+// Resolves to APPROVED, CHANGES_REQUESTED, REVIEW_REQUIRED, or null when
+// branch protection requires no reviews
+async function fetchReviewDecision(octokit, context, prNumber) {
+  const { repository } = await octokit.graphql(REVIEW_DECISION_QUERY, {
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    number: prNumber
+  });
+  return repository.pullRequest.reviewDecision;
+}
+
+module.exports = {
+  PULL_REQUEST_STATE_QUERY,
+  fetchPullRequestState,
+  fetchReviewDecision
+};
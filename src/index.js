@@ -2,21 +2,29 @@ const { Octokit } = require('@octokit/rest');
 const core = require('@actions/core');
 const github = require('@actions/github');
 const notificationStore = require('./notificationStore');
-
-// Track notifications at file scope
-const sentNotifications = new Set();
-
-function createNotificationId(prNumber) {
-  return `pr-${prNumber}`;
-}
+const { reportResult } = require('./outputs');
+const { getRequiredChecks, matchesRequiredCheck } = require('./requiredChecks');
+const { findMatch, matchesPattern, parsePattern, parsePatternList } = require('./checkPatterns');
+const { upsertStickyComment } = require('./stickyComment');
+const { buildPayload, createNotifiers, dispatchNotifications } = require('./notifiers');
+const { buildTemplateVariables, describePendingChecks, renderTemplate, resolveTemplate } = require('./template');
+const { mapWithConcurrency } = require('./concurrency');
+const { DEFAULT_POLICY, evaluateReadiness, parseReadinessPolicy } = require('./readiness');
+const { createClientPlugin, createClientState, getPollInterval } = require('./githubClient');
+const { fetchPullRequestState } = require('./graphqlSource');
+const { hasOptOutLabel, resolveRecipients } = require('./recipients');
+const { collapseAttempts } = require('./checkAttempts');
+const { applySettleWindow, parseSettleWindow } = require('./settle');
+const { parseReadyCheck, publishReadyCheck } = require('./readyCheck');
+const { parseStateLabels, syncStateLabels } = require('./stateLabels');
+const { mergePullRequest, parseMergePolicy } = require('./autoMerge');
+const { parseRerunPolicy, retryFlakyChecks } = require('./reruns');
+const { createDryRunPlugin, createDryRunRecorder, wrapNotifiers, writeDryRunSummary } = require('./dryRun');
+const { DEFAULT_CONFIG_PATH, createConfigInput, loadConfig, resolveConfigSettings } = require('./config');
 
 async function hasExistingComment(octokit, context, prNumber, message) {
   try {
-    const { data: comments } = await octokit.rest.issues.listComments({
-      ...context.repo,
-      issue_number: prNumber,
-      per_page: 100
-    });
+    const comments = await notificationStore.listComments(octokit, context, prNumber);
 
     const normalizedMessage = message.toLowerCase().trim();
     return comments.some(comment => 
@@ -28,95 +36,414 @@ async function hasExistingComment(octokit, context, prNumber, message) {
   }
 }
 
-async function isPRApproved(octokit, context, prNumber) {
-  try {
-    const { data: reviews } = await octokit.rest.pulls.listReviews({
-      ...context.repo,
-      pull_number: prNumber
-    });
-    
-    // Get latest review from each reviewer
-    const latestReviews = new Map();
-    reviews.forEach(review => {
-      latestReviews.set(review.user.id, review.state);
-    });
-    
-    // Check if any latest review is APPROVED
-    return Array.from(latestReviews.values()).includes('APPROVED');
-  } catch (error) {
-    core.warning(`Failed to check PR approval status: ${error.message}`);
-    return false;
+// `prState` carries a PR and reviews already fetched through GraphQL
+async function getReadiness(octokit, context, prNumber, policy = DEFAULT_POLICY, prState = null) {
+  if (prState) {
+    core.info(`PR mergeable state: ${prState.pr.mergeable_state}`);
+    return evaluateReadiness(octokit, context, prState.pr, prState.reviews, policy);
   }
+
+  const { data: pr } = await octokit.rest.pulls.get({
+    ...context.repo,
+    pull_number: prNumber
+  });
+
+  core.info(`PR mergeable state: ${pr.mergeable_state}`);
+
+  // Reviews come oldest first, so the latest verdicts are on the last pages
+  const reviews = await octokit.paginate(octokit.rest.pulls.listReviews, {
+    ...context.repo,
+    pull_number: prNumber,
+    per_page: 100
+  });
+
+  return evaluateReadiness(octokit, context, pr, reviews, policy);
 }
 
-async function isPRMergeable(octokit, context, prNumber) {
+async function isPRMergeable(octokit, context, prNumber, policy = DEFAULT_POLICY, prState = null) {
   try {
-    const { data: pr } = await octokit.rest.pulls.get({
-      ...context.repo,
-      pull_number: prNumber
-    });
-    
-    core.info(`PR mergeable state: ${pr.mergeable_state}`);
-    
-    if (pr.mergeable === false || pr.mergeable_state !== 'clean') {
-      core.info(`PR is not mergeable (state: ${pr.mergeable_state})`);
-      return false;
-    }
-    
-    // Add approval check
-    if (!await isPRApproved(octokit, context, prNumber)) {
-      core.info('PR is not approved');
-      return false;
+    const { ready, reasons } = await getReadiness(octokit, context, prNumber, policy, prState);
+
+    if (!ready) {
+      core.info('PR is not ready:');
+      reasons.forEach(reason => core.info(`  - ${reason}`));
     }
-    
-    return true;
+    return ready;
   } catch (error) {
     core.warning(`Failed to check PR mergeable status: ${error.message}`);
     return false;
   }
 }
 
-async function createComment(octokit, context, prNumber, body) {
+// Resolves to 'sent', 'not-mergeable' or 'duplicate'
+async function createComment(octokit, context, prNumber, body, options = {}) {
+  const headSha = options.sha || context.payload.pull_request?.head.sha || context.sha;
+
   // Check mergeable status first
-  if (!await isPRMergeable(octokit, context, prNumber)) {
+  if (!await isPRMergeable(octokit, context, prNumber, options.policy, options.prState)) {
     core.info('Skipping notification - PR is not mergeable');
-    return;
+    return 'not-mergeable';
   }
 
-  const notificationId = createNotificationId(prNumber);
-  
-  // Check if already sent this session
-  if (sentNotifications.has(notificationId)) {
-    core.info('Skipping duplicate notification (same session)');
-    return;
+  if (await notificationStore.hasNotification(octokit, context, prNumber, headSha)) {
+    core.info(`Skipping duplicate notification (already sent for ${headSha})`);
+    return 'duplicate';
   }
 
-  // Check previous comments
-  const processedBody = processNotificationBody(body);
-  if (await hasExistingComment(octokit, context, prNumber, processedBody)) {
+  // Comments posted before state markers existed can only be matched by text
+  if (await hasExistingComment(octokit, context, prNumber, body)) {
     core.info('Skipping duplicate notification (found in PR history)');
-    return;
+    return 'duplicate';
   }
 
   try {
     await octokit.rest.issues.createComment({
       ...context.repo,
       issue_number: prNumber,
-      body: processedBody
+      body: notificationStore.markBody(body, prNumber, headSha)
     });
     
-    sentNotifications.add(notificationId);
+    notificationStore.addNotification(prNumber, headSha);
+    return 'sent';
   } catch (error) {
     core.error(`Failed to create comment: ${error.message}`);
     throw error;
   }
 }
 
-async function checkStatus(octokit, context, excludedChecks = []) {
-  let sha = context.sha;
+function buildFailureMessage(header, sha, failures) {
+  const lines = [header, '', `Failed checks for ${sha.substring(0, 7)}:`, ''];
+
+  failures.forEach(failure => {
+    const name = failure.url ? `[${failure.name}](${failure.url})` : failure.name;
+    lines.push(`- ${name}: \`${failure.conclusion}\``);
+    if (failure.summary) {
+      // Indent so multi-line summaries stay inside the list item
+      lines.push(...failure.summary.trim().split('\n').map(line => `  > ${line}`));
+    }
+  });
+
+  return lines.join('\n');
+}
+
+function buildPendingMessage(header, sha, pendingChecks) {
+  const running = pendingChecks.filter(check => check.reported !== false);
+  const missing = pendingChecks.filter(check => check.reported === false);
+  const lines = [header];
+
+  if (running.length > 0 || missing.length === 0) {
+    lines.push('', `Still pending on ${sha.substring(0, 7)}:`, '');
+    running.forEach(check => {
+      const name = check.url ? `[${check.name}](${check.url})` : check.name;
+      lines.push(check.waiting ? `- ${name}: ${check.status} for ${check.waiting}` : `- ${name}: ${check.status}`);
+    });
+  }
+
+  // Expected checks that never registered point at a workflow that never ran
+  if (missing.length > 0) {
+    lines.push('', `Never reported on ${sha.substring(0, 7)}:`, '');
+    missing.forEach(check => lines.push(`- ${check.name}`));
+  }
+
+  return lines.join('\n');
+}
+
+// Posts `body` once per head SHA and notification type
+async function createOnceComment(octokit, context, prNumber, sha, body, type) {
+  if (await notificationStore.hasNotification(octokit, context, prNumber, sha, type)) {
+    core.info(`Skipping ${type} notification (already reported for ${sha})`);
+    return false;
+  }
+
+  try {
+    await octokit.rest.issues.createComment({
+      ...context.repo,
+      issue_number: prNumber,
+      body: notificationStore.markBody(body, prNumber, sha, type)
+    });
+
+    notificationStore.addNotification(prNumber, sha, type);
+    return true;
+  } catch (error) {
+    core.error(`Failed to create ${type} comment: ${error.message}`);
+    throw error;
+  }
+}
+
+async function createFailureComment(octokit, context, prNumber, sha, body) {
+  // One failure report per head SHA, regardless of how often the checks flap
+  return createOnceComment(octokit, context, prNumber, sha, body, 'failure');
+}
+
+function stallType(checkName) {
+  return `stall-${checkName.replace(/[^\w.-]+/g, '_')}`;
+}
+
+// Flags each check that has been pending longer than the stall threshold,
+// once per check and head SHA
+async function reportStalledChecks(octokit, context, prNumber, status, stallThreshold) {
+  const stalled = describePendingChecks(status)
+    .filter(check => check.waitingMs !== null && check.waitingMs >= stallThreshold);
+
+  const fresh = [];
+  for (const check of stalled) {
+    if (!await notificationStore.hasNotification(octokit, context, prNumber, status.sha, stallType(check.name))) {
+      fresh.push(check);
+    }
+  }
+  if (fresh.length === 0) {
+    return false;
+  }
+
+  fresh.forEach(check => core.warning(`Check "${check.name}" looks stuck: ${check.status} for ${check.waiting}`));
+
+  const body = [
+    buildPendingMessage(`⚠️ ${fresh.length} check(s) look stuck`, status.sha, fresh),
+    '',
+    ...fresh.map(check => notificationStore.createMarker(prNumber, status.sha, stallType(check.name)))
+  ].join('\n');
+
+  await octokit.rest.issues.createComment({
+    ...context.repo,
+    issue_number: prNumber,
+    body
+  });
+  fresh.forEach(check => notificationStore.addNotification(prNumber, status.sha, stallType(check.name)));
+  return true;
+}
+
+// Classifies REST-shaped commit statuses and check runs; other data sources
+// normalize into these shapes to share the rules
+function evaluateChecks(statuses, checkRuns, sha, excludedChecks = [], options = {}) {
+  const { requiredChecks, includedChecks = [], expectedChecks = [] } = options;
+
+  // Log summary counts
+  core.info(`Found ${statuses.length} status check(s) and ${checkRuns.length} check run(s)`);
+  
+  const excludePatterns = excludedChecks.map(parsePattern);
+  const includePatterns = includedChecks.map(parsePattern);
+  const expectedPatterns = expectedChecks.map(parsePattern);
+
+  if (includePatterns.length > 0) {
+    core.info(`Including: ${includedChecks.join(', ')}`);
+  }
+  if (excludePatterns.length > 0) {
+    core.info(`Excluding: ${excludedChecks.join(', ')}`);
+  }
+
+  // Log active checks
+  if (statuses.length > 0) {
+    core.info('Status Checks:');
+    statuses.forEach(status => {
+      core.info(`  • ${status.context}: ${status.state}`);
+    });
+  }
+
+  if (checkRuns.length > 0) {
+    core.info('Check Runs:');
+    checkRuns.forEach(check => {
+      core.info(`  • ${check.name}: ${check.status}/${check.conclusion}`);
+    });
+  }
+
+  // Combine and filter checks
+  let relevantChecks = [
+    ...statuses,
+    ...checkRuns
+  ].filter(check => {
+    const checkName = check.name || check.context;
+    const app = check.app?.slug ? ` [${check.app.slug}]` : '';
+
+    const excludedBy = findMatch(excludePatterns, check);
+    if (excludedBy) {
+      core.info(`Excluding check: ${checkName}${app} (matched "${excludedBy.source}")`);
+      return false;
+    }
+
+    if (includePatterns.length > 0) {
+      const includedBy = findMatch(includePatterns, check);
+      if (!includedBy) {
+        core.info(`Ignoring check: ${checkName}${app} (no included-checks pattern matched)`);
+        return false;
+      }
+      core.info(`Including check: ${checkName}${app} (matched "${includedBy.source}")`);
+    }
+
+    return true;
+  });
+
+  // Only wait on what branch protection requires, including checks that
+  // have not reported yet
+  let missingChecks = [];
+  if (requiredChecks) {
+    relevantChecks = relevantChecks.filter(check =>
+      requiredChecks.some(required => matchesRequiredCheck(required, check)) ||
+      findMatch(expectedPatterns, check)
+    );
+    // Excluded required checks, like the action's own ready check, are never
+    // waited on, so they can't be missing either
+    missingChecks = requiredChecks
+      .filter(required => !findMatch(excludePatterns, { name: required.name }))
+      .filter(required => !relevantChecks.some(check => matchesRequiredCheck(required, check)))
+      .map(required => required.name);
+  }
+
+  // Expected checks keep the PR pending until they register, so checks that
+  // start late cannot be missed
+  expectedPatterns
+    .filter(pattern => !relevantChecks.some(check => matchesPattern(pattern, check)))
+    .map(pattern => pattern.source)
+    .filter(name => !missingChecks.includes(name))
+    .forEach(name => missingChecks.push(name));
+
+  core.info(`Found ${relevantChecks.length} relevant checks after filtering`);
+
+  const successfulConclusions = ['success', 'skipped', 'neutral'];
+  const pendingChecks = [];
+  const failedChecks = [];
+  const passedChecks = [];
+  const failedDetails = [];
+  const checkDetails = [];
+
+  relevantChecks.forEach(check => {
+    const isCheckRun = 'conclusion' in check;
+    const name = check.name || check.context;
+    // Commit statuses have no separate status: `pending` (and `expected`
+    // from GraphQL) means still running, anything else is final
+    const statusRunning = !isCheckRun && ['pending', 'expected'].includes(check.state);
+    const status = isCheckRun ? check.status : statusRunning ? check.state : 'completed';
+    const conclusion = isCheckRun ? check.conclusion : statusRunning ? null : check.state;
+
+    const isPending = status === 'in_progress' ||
+      status === 'queued' ||
+      status !== 'completed' ||
+      conclusion === null;
+    const isPassed = !isPending && status === 'completed' && successfulConclusions.includes(conclusion);
+    const isFailed = !isPending && !isPassed;
+
+    console.log(`Check "${name}":
+  Status: ${status}
+  Conclusion: ${conclusion}
+  State: ${isPending ? '⏳ Pending' : isPassed ? '✅ Passed' : '❌ Failed'}
+  Reason: ${isPending ? 'Still running' : isPassed ? 'Completed successfully' : 'Completed with failure'}`);
+
+    const url = isCheckRun ? check.details_url : check.target_url;
+    checkDetails.push({
+      name,
+      state: isPending ? 'pending' : isPassed ? 'passed' : 'failed',
+      status,
+      conclusion,
+      url,
+      startedAt: check.started_at || check.created_at || null,
+      completedAt: isCheckRun ? check.completed_at || null : isPending ? null : check.updated_at || null
+    });
+
+    if (isPending) pendingChecks.push(name);
+    else if (isPassed) passedChecks.push(name);
+    else {
+      failedChecks.push(name);
+      failedDetails.push({
+        name,
+        conclusion,
+        url,
+        summary: isCheckRun ? check.output?.summary : check.description
+      });
+    }
+  });
+
+  missingChecks.forEach(name => {
+    core.info(`Expected check "${name}" has not reported yet`);
+    pendingChecks.push(name);
+    checkDetails.push({ name, state: 'pending', status: 'expected', conclusion: null, url: null });
+  });
+
+  return {
+    sha,
+    hasChecks: relevantChecks.length > 0 || missingChecks.length > 0,
+    allCompleted: pendingChecks.length === 0,
+    allPassed: pendingChecks.length === 0 && failedChecks.length === 0 && passedChecks.length > 0,
+    pending: pendingChecks,
+    failed: failedChecks,
+    passed: passedChecks,
+    missing: missingChecks,
+    checks: checkDetails,
+    failedDetails
+  };
+}
+
+async function checkStatusGraphQL(octokit, context, prNumber, excludedChecks = [], options = {}) {
+  core.info('--------------------');
+  core.info(`Checking status for ${context.repo.owner}/${context.repo.repo}#${prNumber} via GraphQL`);
+
+  try {
+    // GraphQL always reports on the current PR head, whatever SHA was asked for
+    const state = await fetchPullRequestState(octokit, context, prNumber);
+    let status = evaluateChecks(state.statuses, state.checkRuns, state.sha, excludedChecks, options);
+    if (options.reruns) {
+      status = await retryFlakyChecks(octokit, context, status, state.checkRuns, options.reruns);
+    }
+    return {
+      ...status,
+      prState: { pr: state.pr, reviews: state.reviews }
+    };
+  } catch (error) {
+    core.warning(`Error fetching PR state: ${error.message}`);
+    throw error;
+  }
+}
+
+function parseMode(value) {
+  const mode = value || 'poll';
+  if (!['poll', 'event', 'sweep'].includes(mode)) {
+    throw new Error(`Invalid mode: ${value} (expected poll, event or sweep)`);
+  }
+  return mode;
+}
+
+function parseSweepConcurrency(value) {
+  const concurrency = parseInt(value || '4', 10);
+  if (Number.isNaN(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid sweep-concurrency: ${value} (expected a number of at least 1)`);
+  }
+  return concurrency;
+}
+
+function parseDataSource(value) {
+  const dataSource = value || 'rest';
+  if (!['rest', 'graphql'].includes(dataSource)) {
+    throw new Error(`Invalid data-source: ${value} (expected rest or graphql)`);
+  }
+  return dataSource;
+}
+
+function parseNewCommitAction(value) {
+  const action = value || 'restart';
+  if (!['restart', 'exit'].includes(action)) {
+    throw new Error(`Invalid on-new-commit: ${value} (expected restart or exit)`);
+  }
+  return action;
+}
+
+async function getHeadSha(octokit, context, prNumber) {
+  const { data: pr } = await octokit.rest.pulls.get({
+    ...context.repo,
+    pull_number: prNumber
+  });
+  return pr.head.sha;
+}
+
+function getStatus(octokit, context, prNumber, excludedChecks, checkOptions, options) {
+  if (options.dataSource === 'graphql') {
+    return checkStatusGraphQL(octokit, context, prNumber, excludedChecks, checkOptions);
+  }
+  return checkStatus(octokit, context, excludedChecks, checkOptions);
+}
+
+async function checkStatus(octokit, context, excludedChecks = [], options = {}) {
+  let sha = options.sha || context.sha;
   
   // If this is a PR event, use the PR head SHA
-  if (context.payload.pull_request) {
+  if (!options.sha && context.payload.pull_request) {
     sha = context.payload.pull_request.head.sha;
   }
   
@@ -124,109 +451,562 @@ async function checkStatus(octokit, context, excludedChecks = []) {
   core.info(`Checking status for ${context.repo.owner}/${context.repo.repo}@${sha}`);
   
   try {
-    // Fetch status checks
-    const statusData = await octokit.rest.repos.getCombinedStatusForRef({
+    // Fetch status checks; a single page of the combined status stops at 100
+    const statuses = await octokit.paginate(octokit.rest.repos.getCombinedStatusForRef, {
       ...context.repo,
-      ref: sha
-    });
+      ref: sha,
+      per_page: 100
+    }, response => response.data.statuses);
 
-    // Fetch check runs
-    const checksData = await octokit.rest.checks.listForRef({
+    // Fetch check runs, keeping only the latest attempt of re-run checks
+    const checkRuns = collapseAttempts(await octokit.paginate(octokit.rest.checks.listForRef, {
       ...context.repo,
-      ref: sha
-    });
+      ref: sha,
+      per_page: 100
+    }));
 
-    // Log summary counts
-    core.info(`Found ${statusData.data.statuses.length} status check(s) and ${checksData.data.check_runs.length} check run(s)`);
-    
-    if (excludedChecks.length > 0) {
-      core.info(`Excluding: ${excludedChecks.join(', ')}`);
+    const status = evaluateChecks(statuses, checkRuns, sha, excludedChecks, options);
+    return options.reruns
+      ? await retryFlakyChecks(octokit, context, status, checkRuns, options.reruns)
+      : status;
+  } catch (error) {
+    core.warning(`Error fetching status or checks: ${error.message}`);
+    throw error;
+  }
+}
+
+// `kind` is one of success, failure, timeout or review
+async function renderMessage(octokit, context, prNumber, status, kind, options, extraVariables = {}) {
+  const { data: pr } = await octokit.rest.pulls.get({
+    ...context.repo,
+    pull_number: prNumber
+  });
+
+  const { template, fromFile } = await resolveTemplate(octokit, context, options.templates[kind], pr.base?.ref);
+  const variables = { ...buildTemplateVariables(context, pr, status, options.startTime), ...extraVariables };
+
+  return {
+    pr,
+    fromFile,
+    body: renderTemplate(template, variables)
+  };
+}
+
+async function notifyChannels(context, pr, status, event, message, notifiers = []) {
+  if (notifiers.length === 0) {
+    return;
+  }
+
+  try {
+    await dispatchNotifications(notifiers, buildPayload(context, pr, status, event, message));
+  } catch (error) {
+    core.warning(`Failed to notify channels: ${error.message}`);
+  }
+}
+
+// Checks are green but reviews are missing, so the reviewers are pinged
+// instead of the author, once per head SHA
+async function notifyReviewers(octokit, context, prNumber, status, options) {
+  const readiness = await getReadiness(octokit, context, prNumber, options.readiness, status.prState);
+  if (!readiness.awaitingReview) {
+    return false;
+  }
+
+  const { data: pr } = await octokit.rest.pulls.get({
+    ...context.repo,
+    pull_number: prNumber
+  });
+  const recipients = await resolveRecipients(octokit, context, pr, readiness);
+  if (recipients.length === 0) {
+    core.info('No reviewers to notify');
+    return false;
+  }
+
+  const { body } = await renderMessage(octokit, context, prNumber, status, 'review', options, { recipients });
+  if (await createOnceComment(octokit, context, prNumber, status.sha, body, 'review')) {
+    await notifyChannels(context, pr, status, 'review', body, options.notifiers);
+    return true;
+  }
+  return false;
+}
+
+// Runs once the verdict is published, so a required ready check is already
+// green when the PR is merged. The outcome comment records the attempt, so
+// later events and sweeps don't merge the same commit again
+async function mergeIfReady(octokit, context, prNumber, status, outcome, options) {
+  if (!options.merge || !outcome.ready) {
+    return undefined;
+  }
+  if (await notificationStore.hasNotification(octokit, context, prNumber, status.sha, 'merge')) {
+    core.info(`Skipping merge (already attempted for ${status.sha})`);
+    return undefined;
+  }
+
+  const pr = await getPullRequest(octokit, context, prNumber);
+  const variables = buildTemplateVariables(context, pr, status, options.startTime);
+  const merge = await mergePullRequest(octokit, context, prNumber, status.sha, options.merge, variables);
+  if (merge.message) {
+    await createOnceComment(octokit, context, prNumber, status.sha, merge.message, 'merge');
+  }
+  return merge;
+}
+
+async function handleStickyStatus(octokit, context, prNumber, status, options) {
+  const markers = [];
+  const outcome = { done: status.allPassed, state: describeState(status), notified: false };
+
+  // The sticky comment carries the success marker once channels were pinged.
+  // Readiness is judged on every evaluation, since reviews can change after
+  // the ping
+  if (status.allPassed) {
+    if (await isPRMergeable(octokit, context, prNumber, options.readiness, status.prState)) {
+      outcome.ready = true;
+      if (!await notificationStore.hasNotification(octokit, context, prNumber, status.sha)) {
+        const { pr, body } = await renderMessage(octokit, context, prNumber, status, 'success', options);
+        await notifyChannels(context, pr, status, 'passed', body, options.notifiers);
+        notificationStore.addNotification(prNumber, status.sha);
+        outcome.notified = true;
+      }
+      markers.push(notificationStore.createMarker(prNumber, status.sha));
+    } else {
+      // Keep the marker so channels aren't pinged again if the PR turns ready
+      if (await notificationStore.hasNotification(octokit, context, prNumber, status.sha)) {
+        markers.push(notificationStore.createMarker(prNumber, status.sha));
+      }
+      outcome.state = 'not-mergeable';
+      if (options.notifyReviewers) {
+        outcome.notified = await notifyReviewers(octokit, context, prNumber, status, options);
+      }
     }
+  }
 
-    // Log active checks
-    if (statusData.data.statuses.length > 0) {
-      core.info('Status Checks:');
-      statusData.data.statuses.forEach(status => {
-        core.info(`  • ${status.context}: ${status.state}`);
-      });
+  await upsertStickyComment(octokit, context, prNumber, status, markers);
+
+  if (status.failed.length > 0) {
+    core.warning(`The following checks failed: ${status.failed.join(', ')}`);
+  }
+  return outcome;
+}
+
+function describeState(status) {
+  if (status.allPassed) return 'passed';
+  if (status.allCompleted && status.failed.length > 0) return 'failed';
+  return 'pending';
+}
+
+// Resolves to `{ done, state, notified, ready }`, where `done` means there is
+// nothing left to wait for and `ready` that the PR passed the readiness rules
+async function handleStatus(octokit, context, prNumber, status, options) {
+  // A push can land between fetching the checks and notifying, and results
+  // for a commit that is no longer the head must never be announced
+  if (status.hasChecks && status.allCompleted && await getHeadSha(octokit, context, prNumber) !== status.sha) {
+    core.info(`${status.sha} is no longer the head of PR #${prNumber}, skipping notification`);
+    return { done: false, state: 'superseded', notified: false };
+  }
+
+  if (options.optOutLabel && hasOptOutLabel(await getPullRequest(octokit, context, prNumber), options.optOutLabel)) {
+    core.info(`PR #${prNumber} has the "${options.optOutLabel}" label, not notifying anyone`);
+    // The label only silences comments and channels; the verdict still
+    // reflects readiness
+    const outcome = { done: status.allPassed, state: describeState(status), notified: false };
+    if (status.allPassed && !await isPRMergeable(octokit, context, prNumber, options.readiness, status.prState)) {
+      outcome.state = 'not-mergeable';
     }
+    return outcome;
+  }
+
+  if (options.stallThreshold && status.pending.length > 0) {
+    await reportStalledChecks(octokit, context, prNumber, status, options.stallThreshold);
+  }
 
-    if (checksData.data.check_runs.length > 0) {
-      core.info('Check Runs:');
-      checksData.data.check_runs.forEach(check => {
-        core.info(`  • ${check.name}: ${check.status}/${check.conclusion}`);
+  // The sticky comment replaces the one-off success and failure comments
+  if (options.stickyComment) {
+    return handleStickyStatus(octokit, context, prNumber, status, options);
+  }
+
+  const outcome = { done: false, state: describeState(status), notified: false };
+
+  if (!status.hasChecks) {
+    core.info('No checks found yet, waiting...');
+  } else if (status.allCompleted) {
+    if (status.allPassed) {
+      core.info('All checks passed! Creating notification...');
+
+      // Create success notification
+      const { pr, body } = await renderMessage(octokit, context, prNumber, status, 'success', options);
+      const result = await createComment(octokit, context, prNumber, body, {
+        sha: status.sha,
+        policy: options.readiness,
+        prState: status.prState
       });
-    }
 
-    // Combine and filter checks
-    const relevantChecks = [
-      ...statusData.data.statuses,
-      ...checksData.data.check_runs
-    ].filter(check => {
-      const checkName = check.name || check.context;
-      const isExcluded = excludedChecks.some(excluded =>
-        checkName?.toLowerCase().includes(excluded.toLowerCase())
-      );
-      if (isExcluded) {
-        core.info(`Excluding check: ${checkName}`);
+      outcome.ready = result !== 'not-mergeable';
+      if (result === 'sent') {
+        await notifyChannels(context, pr, status, 'passed', body, options.notifiers);
+        outcome.notified = true;
+      } else if (result === 'not-mergeable') {
+        outcome.state = 'not-mergeable';
+        if (options.notifyReviewers) {
+          outcome.notified = await notifyReviewers(octokit, context, prNumber, status, options);
+        }
       }
-      return !isExcluded;
+      outcome.done = true;
+    } else if (status.failed.length > 0) {
+      // Log failed checks but continue waiting
+      core.warning('The following checks failed:');
+      status.failed.forEach(check => core.warning(`  - ${check}`));
+
+      if (options.notifyOnFailure) {
+        // An inline message is a header for the generated list, while a
+        // template file renders the whole comment
+        const { pr, body: header, fromFile } = await renderMessage(octokit, context, prNumber, status, 'failure', options);
+        const comment = fromFile ? header : buildFailureMessage(header, status.sha, status.failedDetails);
+        if (await createFailureComment(octokit, context, prNumber, status.sha, comment)) {
+          await notifyChannels(context, pr, status, 'failed', header, options.notifiers);
+          outcome.notified = true;
+        }
+      }
+
+      core.info('Continuing to monitor for changes...');
+    }
+  } else {
+    core.info('Waiting for the following checks:');
+    status.pending.forEach(check => core.info(`  - ${check}`));
+  }
+
+  return outcome;
+}
+
+function getEventSha(context) {
+  const { payload } = context;
+
+  switch (context.eventName) {
+    case 'pull_request':
+    case 'pull_request_target':
+      return payload.pull_request.head.sha;
+    case 'check_run':
+      return payload.check_run.head_sha;
+    case 'check_suite':
+      return payload.check_suite.head_sha;
+    case 'workflow_run':
+      return payload.workflow_run.head_sha;
+    case 'status':
+      return payload.sha;
+    default:
+      return context.sha;
+  }
+}
+
+async function resolveEventPullRequests(octokit, context) {
+  const sha = getEventSha(context);
+  const { payload } = context;
+
+  if (payload.pull_request) {
+    return [{ number: payload.pull_request.number, sha }];
+  }
+
+  // check_run, check_suite and workflow_run payloads list their PRs, but
+  // only for branches in this repository, so fall back to a commit lookup
+  const embedded = (payload.check_run || payload.check_suite || payload.workflow_run)?.pull_requests || [];
+  let prs = embedded;
+
+  if (prs.length === 0) {
+    const { data } = await octokit.rest.repos.listPullRequestsAssociatedWithCommit({
+      ...context.repo,
+      commit_sha: sha
     });
+    prs = data.filter(pr => pr.state === 'open');
+  }
 
-    core.info(`Found ${relevantChecks.length} relevant checks after filtering`);
+  // Only act on PRs whose head is still this commit
+  return prs
+    .filter(pr => pr.head.sha === sha)
+    .map(pr => ({ number: pr.number, sha }));
+}
 
-    const successfulConclusions = ['success', 'skipped', 'neutral'];
-    const pendingChecks = [];
-    const failedChecks = [];
-    const passedChecks = [];
+async function getPullRequest(octokit, context, prNumber) {
+  if (context.payload.pull_request?.number === prNumber) {
+    return context.payload.pull_request;
+  }
 
-    relevantChecks.forEach(check => {
-      const isCheckRun = 'conclusion' in check;
-      const name = check.name || check.context;
-      const status = isCheckRun ? check.status : 'completed';
-      const conclusion = isCheckRun ? check.conclusion : check.state;
+  const { data: pr } = await octokit.rest.pulls.get({
+    ...context.repo,
+    pull_number: prNumber
+  });
+  return pr;
+}
 
-      const isPending = status === 'in_progress' ||
-        status === 'queued' ||
-        status !== 'completed' ||
-        conclusion === null;
-      const isPassed = !isPending && status === 'completed' && successfulConclusions.includes(conclusion);
-      const isFailed = !isPending && !isPassed;
+async function runEventMode(octokit, context, excludedChecks, options) {
+  const targets = await resolveEventPullRequests(octokit, context);
 
-      console.log(`Check "${name}":
-  Status: ${status}
-  Conclusion: ${conclusion}
-  State: ${isPending ? '⏳ Pending' : isPassed ? '✅ Passed' : '❌ Failed'}
-  Reason: ${isPending ? 'Still running' : isPassed ? 'Completed successfully' : 'Completed with failure'}`);
+  if (targets.length === 0) {
+    core.info(`No open PR has ${getEventSha(context)} as its head, nothing to do`);
+    await reportResult({ state: 'no-pr' });
+    return;
+  }
 
-      if (isPending) pendingChecks.push(name);
-      else if (isPassed) passedChecks.push(name);
-      else failedChecks.push(name);
+  for (const target of targets) {
+    core.info(`Evaluating PR #${target.number} at ${target.sha}`);
+    const pr = await getPullRequest(octokit, context, target.number);
+    const settings = await resolveSettings(octokit, context, pr, excludedChecks, options);
+    const requiredChecks = settings.options.onlyRequiredChecks
+      ? await getRequiredChecks(octokit, context, pr.base.ref)
+      : null;
+    const status = await getStatus(octokit, context, target.number, settings.excludedChecks, {
+      sha: target.sha,
+      includedChecks: settings.options.includedChecks,
+      expectedChecks: settings.options.expectedChecks,
+      reruns: settings.options.reruns,
+      requiredChecks
+    }, settings.options).then(evaluated => applySettleWindow(evaluated, settings.options.settle));
+    const outcome = await handleStatus(octokit, context, target.number, status, settings.options);
+    await publishVerdict(octokit, context, target.number, status, outcome.state, settings.options);
+    outcome.merge = await mergeIfReady(octokit, context, target.number, status, outcome, settings.options);
+    await reportResult({
+      state: outcome.state,
+      prNumber: target.number,
+      status,
+      notified: outcome.notified,
+      merge: outcome.merge
     });
+  }
+}
 
-    return {
-      hasChecks: relevantChecks.length > 0,
-      allCompleted: pendingChecks.length === 0,
-      allPassed: pendingChecks.length === 0 && failedChecks.length === 0 && passedChecks.length > 0,
-      pending: pendingChecks,
-      failed: failedChecks,
-      passed: passedChecks
-    };
+// The verdict leaves the PR as a ready check and state labels, if configured
+async function publishVerdict(octokit, context, prNumber, status, state, options) {
+  await publishReadyCheck(octokit, context, status, state, options.readyCheck);
+  if (status) {
+    await syncStateLabels(octokit, context, prNumber, status.sha, state, options.stateLabels);
+  }
+}
+
+function matchesSweepFilters(pr, filters) {
+  if (filters.labels.length > 0 && !pr.labels.some(label => filters.labels.includes(label.name))) {
+    return false;
+  }
+  if (filters.baseBranches.length > 0 && !filters.baseBranches.includes(pr.base.ref)) {
+    return false;
+  }
+  if (filters.authors.length > 0 && !filters.authors.includes(pr.user?.login)) {
+    return false;
+  }
+  return true;
+}
+
+function describeChecks(status) {
+  if (!status.hasChecks) return 'no checks';
+  if (status.failed.length > 0) return `${status.failed.length} failed`;
+  if (status.pending.length > 0) return `${status.pending.length} pending`;
+  if (status.settling) return 'settling';
+  return 'passed';
+}
+
+async function sweepPullRequest(octokit, context, pr, excludedChecks, options) {
+  const report = {
+    number: pr.number,
+    title: pr.title,
+    url: pr.html_url,
+    checks: 'unknown',
+    mergeable: false,
+    blockedBy: [],
+    notified: false,
+    error: null
+  };
+
+  try {
+    const settings = await resolveSettings(octokit, context, pr, excludedChecks, options);
+    const requiredChecks = settings.options.onlyRequiredChecks
+      ? await getRequiredChecks(octokit, context, pr.base.ref)
+      : null;
+    const status = await getStatus(octokit, context, pr.number, settings.excludedChecks, {
+      sha: pr.head.sha,
+      includedChecks: settings.options.includedChecks,
+      expectedChecks: settings.options.expectedChecks,
+      reruns: settings.options.reruns,
+      requiredChecks
+    }, settings.options).then(evaluated => applySettleWindow(evaluated, settings.options.settle));
+
+    report.checks = describeChecks(status);
+    const readiness = await getReadiness(octokit, context, pr.number, settings.options.readiness, status.prState);
+    report.mergeable = readiness.ready;
+    report.blockedBy = readiness.reasons;
+
+    // Only PRs that became ready since the last sweep get a notification
+    const outcome = await handleStatus(octokit, context, pr.number, status, settings.options);
+    await publishVerdict(octokit, context, pr.number, status, outcome.state, settings.options);
+    await mergeIfReady(octokit, context, pr.number, status, outcome, settings.options);
+    report.notified = status.allPassed && outcome.notified;
   } catch (error) {
-    core.warning(`Error fetching status or checks: ${error.message}`);
-    throw error;
+    core.warning(`Failed to evaluate PR #${pr.number}: ${error.message}`);
+    report.error = error.message;
+  }
+
+  return report;
+}
+
+async function writeSweepSummary(reports) {
+  const rows = reports.map(report => [
+    `<a href="${report.url}">#${report.number}</a> ${report.title}`,
+    report.error ? `⚠️ ${report.error}` : report.checks,
+    report.mergeable ? '✅' : `❌ ${report.blockedBy.join('; ')}`.trim(),
+    report.notified ? '🔔' : ''
+  ]);
+
+  try {
+    await core.summary
+      .addHeading('PR readiness sweep')
+      .addTable([
+        [
+          { data: 'Pull request', header: true },
+          { data: 'Checks', header: true },
+          { data: 'Ready', header: true },
+          { data: 'Notified', header: true }
+        ],
+        ...rows
+      ])
+      .write();
+  } catch (error) {
+    core.warning(`Failed to write job summary: ${error.message}`);
   }
 }
 
+async function runSweepMode(octokit, context, excludedChecks, options) {
+  const { sweep } = options;
+  const prs = await octokit.paginate(octokit.rest.pulls.list, {
+    ...context.repo,
+    state: 'open',
+    per_page: 100
+  });
+
+  const selected = prs.filter(pr => matchesSweepFilters(pr, sweep));
+  core.info(`Sweeping ${selected.length} of ${prs.length} open PR(s) with concurrency ${sweep.concurrency}`);
+
+  const reports = await mapWithConcurrency(selected, sweep.concurrency, pr =>
+    sweepPullRequest(octokit, context, pr, excludedChecks, options)
+  );
+
+  reports.forEach(report => {
+    const readiness = report.mergeable ? 'ready' : `not ready (${report.blockedBy.join('; ') || report.error})`;
+    core.info(`PR #${report.number}: checks ${report.checks}, ${readiness}${report.notified ? ', notified' : ''}`);
+  });
+  await writeSweepSummary(reports);
+
+  return reports;
+}
+
+// Everything the config file may set, read through `getInput` so the same
+// parsing and validation applies to action inputs and config values
+function parseSettings(getInput, dryRun = null) {
+  const excludedChecks = parsePatternList(getInput('excluded-checks'));
+  const includedChecks = parsePatternList(getInput('included-checks'));
+  const expectedChecks = parsePatternList(getInput('expected-checks'));
+
+  // The action's own check must never be waited on
+  const readyCheck = parseReadyCheck(getInput);
+  if (readyCheck) {
+    excludedChecks.push(readyCheck.name);
+  }
+
+  // Surface bad patterns up front rather than on every poll
+  [...excludedChecks, ...includedChecks, ...expectedChecks].forEach(parsePattern);
+
+  const stallThresholdMinutes = parseInt(getInput('stall-threshold') || '0', 10);
+  if (Number.isNaN(stallThresholdMinutes) || stallThresholdMinutes < 0) {
+    throw new Error(`Invalid stall-threshold: ${getInput('stall-threshold')}`);
+  }
+
+  const templates = {
+    success: {
+      message: getInput('notification-message'),
+      file: getInput('notification-template-file')
+    },
+    failure: {
+      message: getInput('failure-message'),
+      file: getInput('failure-template-file')
+    },
+    timeout: {
+      message: getInput('timeout-message'),
+      file: getInput('timeout-template-file')
+    },
+    review: {
+      message: getInput('review-message'),
+      file: getInput('review-template-file')
+    }
+  };
+  // Rendering once with no variables reports template syntax errors early
+  Object.values(templates).forEach(({ message }) => renderTemplate(message || '', {}));
+
+  return {
+    excludedChecks,
+    options: {
+      templates,
+      includedChecks,
+      expectedChecks,
+      settle: parseSettleWindow(getInput),
+      readyCheck,
+      stateLabels: parseStateLabels(getInput),
+      merge: parseMergePolicy(getInput, parsePatternList),
+      notifyOnFailure: getInput('notify-on-failure') === 'true',
+      onlyRequiredChecks: getInput('only-required-checks') === 'true',
+      stickyComment: getInput('sticky-comment') === 'true',
+      notifyReviewers: getInput('notify-reviewers') === 'true',
+      optOutLabel: getInput('opt-out-label'),
+      timeoutComment: getInput('timeout-comment') === 'true',
+      failOnTimeout: getInput('fail-on-timeout') === 'true',
+      stallThreshold: stallThresholdMinutes * 60 * 1000,
+      readiness: { ...parseReadinessPolicy(getInput, parsePatternList), ownCheck: readyCheck?.name || null },
+      reruns: parseRerunPolicy(getInput, parsePatternList),
+      notifiers: wrapNotifiers(createNotifiers({
+        slackWebhookUrl: getInput('slack-webhook-url'),
+        teamsWebhookUrl: getInput('teams-webhook-url'),
+        webhookUrl: getInput('webhook-url')
+      }), dryRun)
+    }
+  };
+}
+
+// Layers the config file from the PR's base branch over the action inputs
+async function resolveSettings(octokit, context, pr, excludedChecks, options) {
+  const config = options.configFile && await loadConfig(octokit, context, options.configFile, pr.base.ref);
+  if (!config) {
+    return { excludedChecks, options };
+  }
+
+  const settings = parseSettings(createConfigInput(resolveConfigSettings(config, pr), core.getInput), options.dryRun);
+  return {
+    excludedChecks: settings.excludedChecks,
+    options: { ...options, ...settings.options }
+  };
+}
+
 async function run() {
+  let dryRun = null;
+
   try {
     // Move configuration here
     const token = core.getInput('github-token', { required: true });
-    const excludedChecks = core.getInput('excluded-checks').split(',').filter(Boolean);
     const pollInterval = parseInt(core.getInput('poll-interval') || '30', 10) * 1000;
     const timeoutMinutes = parseInt(core.getInput('timeout') || '30', 10);
+    const mode = parseMode(core.getInput('mode'));
+    const onNewCommit = parseNewCommitAction(core.getInput('on-new-commit'));
 
-    const octokit = github.getOctokit(token);
+    dryRun = core.getInput('dry-run') === 'true' ? createDryRunRecorder() : null;
+    const defaults = parseSettings(core.getInput, dryRun);
+    const defaultOptions = {
+      ...defaults.options,
+      dryRun,
+      startTime: Date.now(),
+      dataSource: parseDataSource(core.getInput('data-source')),
+      configFile: core.getInput('config-file') || DEFAULT_CONFIG_PATH
+    };
+
+    const client = createClientState();
+    const plugins = [createClientPlugin(client)];
+    if (dryRun) {
+      core.info('Dry run: nothing will be posted, every write is logged instead');
+      plugins.push(createDryRunPlugin(dryRun));
+    }
+    const octokit = github.getOctokit(token, {}, ...plugins);
     const context = github.context;
 
     core.info('Context info:');
@@ -235,6 +1015,24 @@ async function run() {
     core.info(`Ref: ${context.ref}`);
     core.info(`Repo: ${context.repo.owner}/${context.repo.repo}`);
 
+    if (mode === 'event') {
+      await runEventMode(octokit, context, defaults.excludedChecks, defaultOptions);
+      return;
+    }
+
+    if (mode === 'sweep') {
+      await runSweepMode(octokit, context, defaults.excludedChecks, {
+        ...defaultOptions,
+        sweep: {
+          labels: parsePatternList(core.getInput('sweep-labels')),
+          baseBranches: parsePatternList(core.getInput('sweep-base-branches')),
+          authors: parsePatternList(core.getInput('sweep-authors')),
+          concurrency: parseSweepConcurrency(core.getInput('sweep-concurrency'))
+        }
+      });
+      return;
+    }
+
     let prNumber;
 
     if (context.eventName === 'pull_request') {
@@ -256,6 +1054,7 @@ async function run() {
       const matchingPr = allPrs.find(pr => pr.head.sha === context.sha);
 
       if (!matchingPr) {
+        await reportResult({ state: 'no-pr' });
         core.setFailed(`No matching PR found for SHA: ${context.sha}`);
         return;
       }
@@ -286,6 +1085,7 @@ async function run() {
       });
 
       if (prs.length === 0) {
+        await reportResult({ state: 'no-pr' });
         core.setFailed('No matching PR found');
         return;
       }
@@ -293,9 +1093,19 @@ async function run() {
       core.info(`Found PR number from SHA lookup: ${prNumber}`);
     }
 
-    const startTime = Date.now();
+    // Settings are resolved once, so label changes while polling don't apply
+    const pr = await getPullRequest(octokit, context, prNumber);
+    const { excludedChecks, options } = await resolveSettings(octokit, context, pr, defaults.excludedChecks, defaultOptions);
+    const requiredChecks = options.onlyRequiredChecks
+      ? await getRequiredChecks(octokit, context, pr.base.ref)
+      : null;
+
+    const startTime = options.startTime;
     const timeoutMs = timeoutMinutes * 60 * 1000;
-    let hasNotified = false;
+    let lastStatus = null;
+    let trackedSha = null;
+    let notified = false;
+    let greenPolls = 0;
 
     while (true) {
       // Add a check for clean shutdown
@@ -306,6 +1116,27 @@ async function run() {
       const elapsedMs = Date.now() - startTime;
       if (elapsedMs > timeoutMs) {
         core.info(`Timed out after ${timeoutMinutes} minutes`);
+        if (lastStatus) {
+          // Like the failure comment, an inline message heads the generated list
+          const { pr, body: header, fromFile } = await renderMessage(octokit, context, prNumber, lastStatus, 'timeout', options);
+          const message = fromFile
+            ? header
+            : buildPendingMessage(header, lastStatus.sha, describePendingChecks(lastStatus));
+          core.info(message);
+
+          if (options.timeoutComment && await createOnceComment(octokit, context, prNumber, lastStatus.sha, message, 'timeout')) {
+            await notifyChannels(context, pr, lastStatus, 'timeout', header, options.notifiers);
+            notified = true;
+          }
+        }
+        // Failures we kept waiting on are the more useful answer than a timeout
+        const state = lastStatus?.failed.length > 0 ? 'failed' : 'timeout';
+        await publishVerdict(octokit, context, prNumber, lastStatus, state, options);
+        await reportResult({ state, prNumber, status: lastStatus, notified });
+        if (options.failOnTimeout) {
+          const pending = lastStatus?.pending.join(', ') || 'checks';
+          core.setFailed(`Timed out after ${timeoutMinutes} minutes waiting for: ${pending}`);
+        }
         return;
       }
 
@@ -314,66 +1145,76 @@ async function run() {
       core.info(`Checking status (${elapsedMinutes}m ${elapsedSeconds}s elapsed)...`);
 
       try {
-        const status = await checkStatus(octokit, context, excludedChecks);
-
-        if (!status.hasChecks) {
-          core.info('No checks found yet, waiting...');
-        } else if (status.allCompleted) {
-          if (status.allPassed && !hasNotified) {
-            core.info('All checks passed! Creating notification...');
-
-            // Create success notification
-            const message = core.getInput('notification-message').replace('{user}', context.actor);
-            await createComment(octokit, context, prNumber, message);
-
-            hasNotified = true;
+        // The head is re-read every time so a push during the wait is noticed
+        const headSha = await getHeadSha(octokit, context, prNumber);
+        if (trackedSha && headSha !== trackedSha) {
+          core.info(`PR #${prNumber} head moved from ${trackedSha} to ${headSha}`);
+          // Labels describe the old head until the new one is evaluated
+          await publishVerdict(octokit, context, prNumber, lastStatus, 'superseded', options);
+          if (onNewCommit === 'exit') {
+            await reportResult({ state: 'superseded', prNumber, status: lastStatus, notified });
             return;
-          } else if (status.failed.length > 0) {
-            // Log failed checks but continue waiting
-            core.warning('The following checks failed:');
-            status.failed.forEach(check => core.warning(`  - ${check}`));
-            core.info('Continuing to monitor for changes...');
           }
-        } else {
-          core.info('Waiting for the following checks:');
-          status.pending.forEach(check => core.info(`  - ${check}`));
+          core.info(`Restarting tracking on ${headSha}`);
+          lastStatus = null;
+          greenPolls = 0;
+        }
+        trackedSha = headSha;
+
+        const status = await getStatus(octokit, context, prNumber, excludedChecks, {
+          sha: headSha,
+          includedChecks: options.includedChecks,
+          expectedChecks: options.expectedChecks,
+          reruns: options.reruns,
+          requiredChecks
+        }, options).then(evaluated => {
+          greenPolls = evaluated.allPassed ? greenPolls + 1 : 0;
+          return applySettleWindow(evaluated, options.settle, greenPolls);
+        });
+        lastStatus = status;
+
+        const outcome = await handleStatus(octokit, context, prNumber, status, options);
+        await publishVerdict(octokit, context, prNumber, status, outcome.state, options);
+        outcome.merge = await mergeIfReady(octokit, context, prNumber, status, outcome, options);
+        notified = notified || outcome.notified;
+        if (outcome.done) {
+          await reportResult({ state: outcome.state, prNumber, status, notified, merge: outcome.merge });
+          return;
         }
       } catch (error) {
         core.warning(`Error checking status (will retry): ${error.message}`);
       }
 
+      // Back off as the rate limit budget runs low
+      const interval = getPollInterval(client, pollInterval);
+      if (interval > pollInterval) {
+        const { remaining, limit } = client.rateLimit;
+        core.info(`Rate limit at ${remaining}/${limit}, waiting ${Math.round(interval / 1000)}s`);
+      }
+
       // Use promisified setTimeout
-      await new Promise(resolve => setTimeout(resolve, pollInterval));
+      await new Promise(resolve => setTimeout(resolve, interval));
     }
   } catch (error) {
     core.setFailed(error.message);
+  } finally {
+    if (dryRun) {
+      await writeDryRunSummary(dryRun);
+    }
   }
 }
 
-// Only run if not in test environment
-if (process.env.NODE_ENV !== 'test') {
-  run();
-}
-
-function processNotificationBody(body) {
-  return body
-    // Convert escaped newlines to actual newlines
-    .replace(/\\n/g, '\n')
-    // Convert escaped tabs to actual tabs  
-    .replace(/\\t/g, '\t')
-    // Convert Unicode escape sequences
-    .replace(/\\u[\dA-F]{4}/gi, match => 
-      String.fromCharCode(parseInt(match.replace(/\\u/g, ''), 16))
-    )
-    // Unescape other characters
-    .replace(/\\(.)/g, '$1');
-}
-
 module.exports = {
+  buildFailureMessage,
+  buildPendingMessage,
   checkStatus,
+  checkStatusGraphQL,
   createComment,
+  createFailureComment,
+  resolveEventPullRequests,
+  runSweepMode,
   hasExistingComment,
+  getReadiness,
   isPRMergeable,
-  processNotificationBody,
   run // Export for testing
 };
\ No newline at end of file
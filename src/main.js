@@ -0,0 +1,4 @@
+// Entry point for the action; src/index.js only defines and exports
+const { run } = require('./index');
+
+run();
@@ -1,15 +1,57 @@
+const core = require('@actions/core');
+
+const MARKER_PREFIX = 'pr-status-check-notifier';
+
+// State lives in hidden markers on the PR's own comments, so it survives
+// across workflow runs; the Set only saves API calls within one run
 class NotificationStore {
   constructor() {
     this.notifications = new Set();
   }
 
-  hasNotification(prNumber) {
-    return this.notifications.has(`pr-${prNumber}`);
+  createKey(prNumber, sha, type = 'success') {
+    return `${type}:pr-${prNumber}:${sha}`;
+  }
+
+  createMarker(prNumber, sha, type = 'success') {
+    return `<!-- ${MARKER_PREFIX}:${this.createKey(prNumber, sha, type)} -->`;
+  }
+
+  markBody(body, prNumber, sha, type = 'success') {
+    return `${body}\n\n${this.createMarker(prNumber, sha, type)}`;
+  }
+
+  async listComments(octokit, context, prNumber) {
+    return octokit.paginate(octokit.rest.issues.listComments, {
+      ...context.repo,
+      issue_number: prNumber,
+      per_page: 100
+    });
+  }
+
+  async hasNotification(octokit, context, prNumber, sha, type = 'success') {
+    const key = this.createKey(prNumber, sha, type);
+    if (this.notifications.has(key)) {
+      return true;
+    }
+
+    try {
+      const marker = this.createMarker(prNumber, sha, type);
+      const comments = await this.listComments(octokit, context, prNumber);
+      if (comments.some(comment => comment.body?.includes(marker))) {
+        this.notifications.add(key);
+        return true;
+      }
+    } catch (error) {
+      core.warning(`Failed to read notification state: ${error.message}`);
+    }
+
+    return false;
   }
 
-  addNotification(prNumber) {
-    this.notifications.add(`pr-${prNumber}`);
+  addNotification(prNumber, sha, type = 'success') {
+    this.notifications.add(this.createKey(prNumber, sha, type));
   }
 }
 
-module.exports = new NotificationStore();
\ No newline at end of file
+module.exports = new NotificationStore();
@@ -0,0 +1,26 @@
+// A webhook that never answers would otherwise hold up every other channel
+const REQUEST_TIMEOUT_MS = 10000;
+
+async function postJson(url, body) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new Error(`no response after ${REQUEST_TIMEOUT_MS / 1000}s`);
+    }
+    throw error;
+  }
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new Error(`HTTP ${response.status}${text ? `: ${text}` : ''}`);
+  }
+}
+
+module.exports = { postJson };
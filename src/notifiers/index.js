@@ -0,0 +1,65 @@
+const core = require('@actions/core');
+const { createSlackNotifier } = require('./slack');
+const { createTeamsNotifier } = require('./teams');
+const { createWebhookNotifier } = require('./webhook');
+
+// A notifier is `{ name, send(payload) }`; PR comments stay in index.js
+// because they also carry the dedup state every channel relies on
+function createNotifiers({ slackWebhookUrl, teamsWebhookUrl, webhookUrl } = {}) {
+  const notifiers = [];
+
+  if (slackWebhookUrl) {
+    notifiers.push(createSlackNotifier(slackWebhookUrl));
+  }
+  if (teamsWebhookUrl) {
+    notifiers.push(createTeamsNotifier(teamsWebhookUrl));
+  }
+  if (webhookUrl) {
+    notifiers.push(createWebhookNotifier(webhookUrl));
+  }
+
+  return notifiers;
+}
+
+function buildPayload(context, pr, status, event, message) {
+  return {
+    event,
+    message,
+    repository: `${context.repo.owner}/${context.repo.repo}`,
+    pullRequest: {
+      number: pr.number,
+      title: pr.title,
+      url: pr.html_url,
+      author: pr.user?.login,
+      headSha: status.sha,
+      baseRef: pr.base?.ref
+    },
+    checks: {
+      passed: status.passed,
+      failed: status.failed,
+      pending: status.pending
+    }
+  };
+}
+
+async function dispatchNotifications(notifiers, payload) {
+  // Each channel fails on its own so one bad webhook can't silence the rest
+  const results = await Promise.allSettled(notifiers.map(notifier => notifier.send(payload)));
+
+  results.forEach((result, index) => {
+    const { name } = notifiers[index];
+    if (result.status === 'fulfilled') {
+      core.info(`Sent ${payload.event} notification to ${name}`);
+    } else {
+      core.warning(`Failed to send ${payload.event} notification to ${name}: ${result.reason.message}`);
+    }
+  });
+
+  return results.filter(result => result.status === 'fulfilled').length;
+}
+
+module.exports = {
+  buildPayload,
+  createNotifiers,
+  dispatchNotifications
+};
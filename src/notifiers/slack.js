@@ -0,0 +1,36 @@
+const { postJson } = require('./http');
+
+const EMOJI = {
+  passed: ':white_check_mark:',
+  failed: ':x:',
+  timeout: ':hourglass:',
+  review: ':eyes:'
+};
+
+function formatSlackMessage(payload) {
+  const { pullRequest, repository, checks } = payload;
+  const title = `${EMOJI[payload.event] || ''} <${pullRequest.url}|${repository}#${pullRequest.number}: ${pullRequest.title}>`.trim();
+
+  const fields = [`*Author:* ${pullRequest.author}`, `*Passed:* ${checks.passed.length}`];
+  if (checks.failed.length > 0) {
+    fields.push(`*Failed:* ${checks.failed.join(', ')}`);
+  }
+
+  return {
+    text: `${title}\n${payload.message}`,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: title } },
+      { type: 'section', text: { type: 'mrkdwn', text: payload.message } },
+      { type: 'context', elements: fields.map(text => ({ type: 'mrkdwn', text })) }
+    ]
+  };
+}
+
+function createSlackNotifier(webhookUrl) {
+  return {
+    name: 'slack',
+    send: payload => postJson(webhookUrl, formatSlackMessage(payload))
+  };
+}
+
+module.exports = { createSlackNotifier, formatSlackMessage };
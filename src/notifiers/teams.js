@@ -0,0 +1,42 @@
+const { postJson } = require('./http');
+
+const THEME_COLORS = {
+  passed: '2EB886',
+  failed: 'D00000',
+  timeout: 'F2C744',
+  review: '0969DA'
+};
+
+function formatTeamsMessage(payload) {
+  const { pullRequest, repository, checks } = payload;
+  const facts = [
+    { name: 'Author', value: pullRequest.author },
+    { name: 'Passed', value: String(checks.passed.length) }
+  ];
+  if (checks.failed.length > 0) {
+    facts.push({ name: 'Failed', value: checks.failed.join(', ') });
+  }
+
+  return {
+    '@type': 'MessageCard',
+    '@context': 'https://schema.org/extensions',
+    summary: `${repository}#${pullRequest.number}: ${payload.event}`,
+    themeColor: THEME_COLORS[payload.event] || '808080',
+    title: `${repository}#${pullRequest.number}: ${pullRequest.title}`,
+    sections: [{ text: payload.message, facts }],
+    potentialAction: [{
+      '@type': 'OpenUri',
+      name: 'View pull request',
+      targets: [{ os: 'default', uri: pullRequest.url }]
+    }]
+  };
+}
+
+function createTeamsNotifier(webhookUrl) {
+  return {
+    name: 'teams',
+    send: payload => postJson(webhookUrl, formatTeamsMessage(payload))
+  };
+}
+
+module.exports = { createTeamsNotifier, formatTeamsMessage };
@@ -0,0 +1,11 @@
+const { postJson } = require('./http');
+
+// Generic receivers get the payload exactly as built
+function createWebhookNotifier(webhookUrl) {
+  return {
+    name: 'webhook',
+    send: payload => postJson(webhookUrl, payload)
+  };
+}
+
+module.exports = { createWebhookNotifier };
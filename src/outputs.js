@@ -0,0 +1,98 @@
+const core = require('@actions/core');
+const { formatDuration } = require('./template');
+
+const STATE_LABELS = {
+  pending: '⏳ Pending',
+  passed: '✅ Passed',
+  failed: '❌ Failed'
+};
+
+const RESULT_HEADINGS = {
+  passed: '✅ All checks passed',
+  failed: '❌ Checks failed',
+  timeout: '⏱️ Timed out waiting for checks',
+  pending: '⏳ Checks still running',
+  'not-mergeable': '🚧 Checks passed, but the PR is not ready to merge',
+  superseded: '⏭️ A newer commit was pushed',
+  'no-pr': 'No pull request found'
+};
+
+function checkDuration(check) {
+  if (!check.startedAt) {
+    return '';
+  }
+  const end = check.completedAt ? Date.parse(check.completedAt) : Date.now();
+  return formatDuration(end - Date.parse(check.startedAt));
+}
+
+// `state` is one of passed, failed, timeout, pending, not-mergeable,
+// superseded or no-pr. `merge` is the auto-merge outcome, when one was tried
+function setOutputs({ state, prNumber = null, status = null, notified = false, merge = null }) {
+  core.setOutput('state', state);
+  core.setOutput('pr-number', prNumber ? String(prNumber) : '');
+  core.setOutput('head-sha', status?.sha || '');
+  core.setOutput('passed-checks', JSON.stringify(status?.passed || []));
+  core.setOutput('failed-checks', JSON.stringify(status?.failed || []));
+  core.setOutput('pending-checks', JSON.stringify(status?.pending || []));
+  core.setOutput('missing-checks', JSON.stringify(status?.missing || []));
+  core.setOutput('rerun-checks', JSON.stringify((status?.reruns || []).map(rerun => rerun.name)));
+  core.setOutput('notified', String(notified));
+  core.setOutput('merge-result', merge?.result || '');
+}
+
+async function writeJobSummary({ state, prNumber = null, status = null, merge = null }) {
+  const heading = prNumber ? `PR #${prNumber}: ${RESULT_HEADINGS[state]}` : RESULT_HEADINGS[state];
+  const rows = (status?.checks || []).map(check => [
+    check.name,
+    STATE_LABELS[check.state],
+    check.conclusion || check.status || '',
+    checkDuration(check),
+    check.url ? `<a href="${check.url}">details</a>` : ''
+  ]);
+
+  try {
+    core.summary.addHeading(heading);
+    if (status) {
+      core.summary.addRaw(`Head commit: ${status.sha}`, true);
+    }
+    if (merge?.message) {
+      core.summary.addRaw(merge.message, true);
+    }
+    if (rows.length > 0) {
+      core.summary.addTable([
+        [
+          { data: 'Check', header: true },
+          { data: 'Status', header: true },
+          { data: 'Conclusion', header: true },
+          { data: 'Duration', header: true },
+          { data: 'Link', header: true }
+        ],
+        ...rows
+      ]);
+    }
+    if (status?.missing?.length > 0) {
+      core.summary
+        .addHeading('Expected checks that never reported', 3)
+        .addList(status.missing);
+    }
+    if (status?.reruns?.length > 0) {
+      core.summary
+        .addHeading('Re-run checks', 3)
+        .addList(status.reruns.map(rerun => `${rerun.name}: re-run ${rerun.attempts} time(s)`));
+    }
+    await core.summary.write();
+  } catch (error) {
+    core.warning(`Failed to write job summary: ${error.message}`);
+  }
+}
+
+async function reportResult(result) {
+  setOutputs(result);
+  await writeJobSummary(result);
+}
+
+module.exports = {
+  reportResult,
+  setOutputs,
+  writeJobSummary
+};
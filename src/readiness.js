@@ -0,0 +1,175 @@
+const core = require('@actions/core');
+const { isOwnedBy, listChangedFiles, loadCodeowners, ownersForFile } = require('./codeowners');
+const { fetchReviewDecision } = require('./graphqlSource');
+const { isRequiredCheck } = require('./requiredChecks');
+
+// Matches the behaviour before the policy was configurable, except that a
+// pending change request now blocks readiness
+const DEFAULT_POLICY = {
+  minApprovals: 1,
+  blockOnChangesRequested: true,
+  requireCodeOwnerApproval: false,
+  ignoreDrafts: true,
+  requiredLabels: [],
+  forbiddenLabels: [],
+  mergeableStates: ['clean'],
+  // Name of the ready check the action publishes, if any
+  ownCheck: null
+};
+
+// Comments don't change a reviewer's verdict, so only verdicts are kept
+function getLatestReviews(reviews) {
+  const latestReviews = new Map();
+  reviews.forEach(review => {
+    if (['APPROVED', 'CHANGES_REQUESTED', 'DISMISSED'].includes(review.state)) {
+      latestReviews.set(review.user.id, { login: review.user.login, state: review.state });
+    }
+  });
+  return Array.from(latestReviews.values());
+}
+
+// The action's own ready check is not green while the action decides what to
+// publish. GitHub reports that as "unstable" when the check is optional, and
+// as "blocked" when branch protection requires it. Counting those states
+// against the PR would keep the check from ever turning green, so they are
+// put down to the check unless GitHub knows of something else: "blocked" only
+// counts when the check is required and the review decision is not the cause
+async function isBlockedByOwnCheck(octokit, context, pr, policy) {
+  if (!policy.ownCheck) {
+    return false;
+  }
+  if (pr.mergeable_state === 'unstable') {
+    return true;
+  }
+  if (pr.mergeable_state !== 'blocked') {
+    return false;
+  }
+
+  try {
+    const decision = pr.review_decision !== undefined
+      ? pr.review_decision
+      : await fetchReviewDecision(octokit, context, pr.number);
+    if (decision === 'REVIEW_REQUIRED' || decision === 'CHANGES_REQUESTED') {
+      return false;
+    }
+    return await isRequiredCheck(octokit, context, pr.base.ref, policy.ownCheck);
+  } catch (error) {
+    core.warning(`Failed to tell whether "${policy.ownCheck}" blocks PR #${pr.number}: ${error.message}`);
+    return false;
+  }
+}
+
+async function findUnapprovedOwnedFiles(octokit, context, pr, approvers) {
+  const rules = await loadCodeowners(octokit, context, pr.base.ref);
+  if (rules.length === 0) {
+    return [];
+  }
+
+  const files = await listChangedFiles(octokit, context, pr.number);
+  const unapproved = [];
+  for (const file of files) {
+    const owners = ownersForFile(rules, file);
+    if (owners.length > 0 && !await isOwnedBy(octokit, owners, approvers)) {
+      unapproved.push(file);
+    }
+  }
+  return unapproved;
+}
+
+// Returns every rule that blocks readiness so the log can explain all of them.
+// `awaitingReview` means only reviews stand between the PR and merging
+async function evaluateReadiness(octokit, context, pr, reviews, policy = DEFAULT_POLICY) {
+  const reasons = [];
+  // Reasons a review would resolve; branch protection reports "blocked"
+  // while required reviews are missing
+  let reviewReasons = 0;
+  let missingReview = false;
+  const labels = (pr.labels || []).map(label => label.name);
+
+  if (pr.draft && policy.ignoreDrafts) {
+    reasons.push('PR is a draft');
+  }
+
+  if (pr.mergeable === false) {
+    reasons.push('PR has merge conflicts');
+  }
+  if (!policy.mergeableStates.includes(pr.mergeable_state)) {
+    if (await isBlockedByOwnCheck(octokit, context, pr, policy)) {
+      core.info(`Mergeable state "${pr.mergeable_state}" is caused by the pending "${policy.ownCheck}" check`);
+    } else {
+      reasons.push(`mergeable state "${pr.mergeable_state}" is not one of: ${policy.mergeableStates.join(', ')}`);
+      if (pr.mergeable_state === 'blocked') reviewReasons++;
+    }
+  }
+
+  const missingLabels = policy.requiredLabels.filter(label => !labels.includes(label));
+  if (missingLabels.length > 0) {
+    reasons.push(`missing required label(s): ${missingLabels.join(', ')}`);
+  }
+  const forbiddenLabels = policy.forbiddenLabels.filter(label => labels.includes(label));
+  if (forbiddenLabels.length > 0) {
+    reasons.push(`has forbidden label(s): ${forbiddenLabels.join(', ')}`);
+  }
+
+  const latestReviews = getLatestReviews(reviews);
+  const approvers = latestReviews.filter(review => review.state === 'APPROVED').map(review => review.login);
+  const requesters = latestReviews.filter(review => review.state === 'CHANGES_REQUESTED').map(review => review.login);
+
+  if (approvers.length < policy.minApprovals) {
+    reasons.push(`has ${approvers.length} approval(s), needs ${policy.minApprovals}`);
+    reviewReasons++;
+    missingReview = true;
+  }
+  if (policy.blockOnChangesRequested && requesters.length > 0) {
+    reasons.push(`changes requested by ${requesters.join(', ')}`);
+  }
+
+  if (policy.requireCodeOwnerApproval) {
+    const unapproved = await findUnapprovedOwnedFiles(octokit, context, pr, approvers);
+    if (unapproved.length > 0) {
+      reasons.push(`no code owner approval for: ${unapproved.join(', ')}`);
+      reviewReasons++;
+      missingReview = true;
+    }
+  }
+
+  return {
+    ready: reasons.length === 0,
+    reasons,
+    awaitingReview: missingReview && reviewReasons === reasons.length
+  };
+}
+
+function parseReadinessPolicy(getInput, parseList) {
+  const flag = (name, fallback) => {
+    const value = getInput(name);
+    return value ? value === 'true' : fallback;
+  };
+  const list = (name, fallback) => {
+    const value = parseList(getInput(name));
+    return value.length > 0 ? value : fallback;
+  };
+
+  const minApprovals = parseInt(getInput('min-approvals') || String(DEFAULT_POLICY.minApprovals), 10);
+  if (Number.isNaN(minApprovals) || minApprovals < 0) {
+    throw new Error(`Invalid min-approvals: ${getInput('min-approvals')}`);
+  }
+
+  return {
+    minApprovals,
+    blockOnChangesRequested: flag('block-on-changes-requested', DEFAULT_POLICY.blockOnChangesRequested),
+    requireCodeOwnerApproval: flag('require-code-owner-approval', DEFAULT_POLICY.requireCodeOwnerApproval),
+    ignoreDrafts: flag('ignore-drafts', DEFAULT_POLICY.ignoreDrafts),
+    requiredLabels: list('required-labels', DEFAULT_POLICY.requiredLabels),
+    forbiddenLabels: list('forbidden-labels', DEFAULT_POLICY.forbiddenLabels),
+    mergeableStates: list('mergeable-states', DEFAULT_POLICY.mergeableStates),
+    ownCheck: DEFAULT_POLICY.ownCheck
+  };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  evaluateReadiness,
+  getLatestReviews,
+  parseReadinessPolicy
+};
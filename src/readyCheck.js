@@ -0,0 +1,125 @@
+const core = require('@actions/core');
+
+const DEFAULT_NAME = 'pr-notifier/ready';
+const TYPES = ['check-run', 'commit-status'];
+
+// Check run status and conclusion, commit status state and a title per
+// outcome. Superseded commits and missing PRs leave the check alone
+const RESULTS = {
+  pending: { conclusion: null, state: 'pending', title: 'Waiting for checks' },
+  passed: { conclusion: 'success', state: 'success', title: 'All checks passed and the PR is ready to merge' },
+  failed: { conclusion: 'failure', state: 'failure', title: 'Checks failed' },
+  'not-mergeable': { conclusion: 'action_required', state: 'pending', title: 'Checks passed, but the PR is not ready to merge' },
+  timeout: { conclusion: 'timed_out', state: 'error', title: 'Timed out waiting for checks' }
+};
+
+// Resolves to null when no check should be published
+function parseReadyCheck(getInput) {
+  const type = getInput('ready-check');
+  if (!type || type === 'none') {
+    return null;
+  }
+  if (!TYPES.includes(type)) {
+    throw new Error(`Invalid ready-check: ${type} (expected none, ${TYPES.join(' or ')})`);
+  }
+  return { type, name: getInput('ready-check-name') || DEFAULT_NAME };
+}
+
+function buildSummary(status) {
+  const lines = [`${status.passed.length} passed, ${status.failed.length} failed, ${status.pending.length} pending`];
+
+  if (status.failedDetails?.length > 0) {
+    lines.push('', '**Failed**', '');
+    status.failedDetails.forEach(failure => {
+      const name = failure.url ? `[${failure.name}](${failure.url})` : failure.name;
+      lines.push(`- ${name}: ${failure.conclusion}${failure.summary ? ` — ${failure.summary}` : ''}`);
+    });
+  }
+  if (status.pending.length > 0) {
+    lines.push('', '**Pending**', '', ...status.pending.map(name => `- ${name}`));
+  }
+  return lines.join('\n');
+}
+
+// Commit status descriptions are limited to 140 characters
+function buildDescription(result, status) {
+  const description = status.failed.length > 0 ? `${result.title}: ${status.failed.join(', ')}` : result.title;
+  return description.length > 140 ? `${description.slice(0, 139)}…` : description;
+}
+
+// The check run ID and the last published outcome per head SHA, so repeated
+// polls don't rewrite an unchanged check
+const published = new Map();
+
+async function findCheckRun(octokit, context, sha, name) {
+  const { data } = await octokit.rest.checks.listForRef({
+    ...context.repo,
+    ref: sha,
+    check_name: name,
+    filter: 'latest'
+  });
+  return data.check_runs[0]?.id || null;
+}
+
+async function writeCheckRun(octokit, context, sha, check, result, output, entry) {
+  const fields = result.conclusion
+    ? { status: 'completed', conclusion: result.conclusion, completed_at: new Date().toISOString() }
+    : { status: 'in_progress' };
+
+  const id = entry.id ?? await findCheckRun(octokit, context, sha, check.name);
+  if (id) {
+    await octokit.rest.checks.update({ ...context.repo, check_run_id: id, ...fields, output });
+    return id;
+  }
+
+  const { data } = await octokit.rest.checks.create({
+    ...context.repo,
+    name: check.name,
+    head_sha: sha,
+    ...fields,
+    output
+  });
+  return data.id;
+}
+
+// Publishes the verdict for `state`, as returned by handleStatus, on the head
+// commit. Failing to publish is logged rather than failing the run
+async function publishReadyCheck(octokit, context, status, state, check) {
+  const result = RESULTS[state];
+  if (!check || !result || !status?.sha) {
+    return;
+  }
+
+  const key = `${status.sha}:${check.name}`;
+  const entry = published.get(key) || { id: null, state: null };
+  if (entry.state === state && state === 'pending') {
+    return;
+  }
+
+  try {
+    if (check.type === 'commit-status') {
+      await octokit.rest.repos.createCommitStatus({
+        ...context.repo,
+        sha: status.sha,
+        state: result.state,
+        context: check.name,
+        description: buildDescription(result, status)
+      });
+    } else {
+      const output = { title: result.title, summary: buildSummary(status) };
+      entry.id = await writeCheckRun(octokit, context, status.sha, check, result, output, entry);
+    }
+    entry.state = state;
+    published.set(key, entry);
+    core.info(`Set ${check.type} "${check.name}" on ${status.sha} to ${result.conclusion || result.state}`);
+  } catch (error) {
+    core.warning(`Failed to publish ${check.type} "${check.name}": ${error.message}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_NAME,
+  parseReadyCheck,
+  publishReadyCheck,
+  published
+};
@@ -0,0 +1,55 @@
+const core = require('@actions/core');
+const { listChangedFiles, loadCodeowners, ownersForFile } = require('./codeowners');
+
+// Requested reviewers and teams, then code owners of the changed files,
+// without duplicates or the author
+async function resolveReviewers(octokit, context, pr) {
+  const mentions = [
+    ...(pr.requested_reviewers || []).map(reviewer => `@${reviewer.login}`),
+    ...(pr.requested_teams || []).map(team => `@${context.repo.owner}/${team.slug}`)
+  ];
+
+  const rules = await loadCodeowners(octokit, context, pr.base.ref);
+  if (rules.length > 0) {
+    const files = await listChangedFiles(octokit, context, pr.number);
+    files.forEach(file => {
+      // Email owners can't be mentioned
+      mentions.push(...ownersForFile(rules, file).filter(owner => owner.startsWith('@')));
+    });
+  }
+
+  const author = `@${pr.user?.login}`.toLowerCase();
+  const seen = new Set();
+  return mentions.filter(mention => {
+    const key = mention.toLowerCase();
+    if (key === author || seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+// Who has to act next: reviewers while the PR waits on reviews, the author
+// once it can be merged
+async function resolveRecipients(octokit, context, pr, readiness) {
+  if (readiness.ready) {
+    return pr.user ? [`@${pr.user.login}`] : [];
+  }
+  if (readiness.awaitingReview) {
+    const reviewers = await resolveReviewers(octokit, context, pr);
+    core.info(`Reviewers to notify: ${reviewers.join(', ') || 'none'}`);
+    return reviewers;
+  }
+  return [];
+}
+
+function hasOptOutLabel(pr, label) {
+  return Boolean(label) && (pr.labels || []).some(existing => existing.name === label);
+}
+
+module.exports = {
+  hasOptOutLabel,
+  resolveRecipients,
+  resolveReviewers
+};
@@ -0,0 +1,114 @@
+const core = require('@actions/core');
+
+// The API reports "any source" as either null or -1
+function normalizeAppId(appId) {
+  return appId > 0 ? appId : null;
+}
+
+async function getProtectionChecks(octokit, context, branch) {
+  try {
+    const { data } = await octokit.rest.repos.getBranchProtection({
+      ...context.repo,
+      branch
+    });
+
+    const statusChecks = data.required_status_checks;
+    if (!statusChecks) {
+      return [];
+    }
+
+    // `checks` supersedes `contexts` and carries the app restriction
+    if (statusChecks.checks?.length > 0) {
+      return statusChecks.checks.map(check => ({
+        name: check.context,
+        appId: normalizeAppId(check.app_id)
+      }));
+    }
+
+    return (statusChecks.contexts || []).map(name => ({ name, appId: null }));
+  } catch (error) {
+    if (error.status === 404) {
+      core.info(`Branch ${branch} has no protection rules`);
+    } else {
+      core.warning(`Failed to read branch protection for ${branch}: ${error.message}`);
+    }
+    return [];
+  }
+}
+
+async function getRulesetChecks(octokit, context, branch) {
+  try {
+    const { data: rules } = await octokit.rest.repos.getBranchRules({
+      ...context.repo,
+      branch,
+      per_page: 100
+    });
+
+    return rules
+      .filter(rule => rule.type === 'required_status_checks')
+      .flatMap(rule => rule.parameters?.required_status_checks || [])
+      .map(check => ({
+        name: check.context,
+        appId: normalizeAppId(check.integration_id)
+      }));
+  } catch (error) {
+    core.warning(`Failed to read rulesets for ${branch}: ${error.message}`);
+    return [];
+  }
+}
+
+async function getRequiredChecks(octokit, context, branch) {
+  const [protectionChecks, rulesetChecks] = await Promise.all([
+    getProtectionChecks(octokit, context, branch),
+    getRulesetChecks(octokit, context, branch)
+  ]);
+
+  // The same check can be required by both protection and a ruleset
+  const requiredChecks = new Map();
+  [...protectionChecks, ...rulesetChecks].forEach(check => {
+    requiredChecks.set(`${check.name}:${check.appId}`, check);
+  });
+
+  const result = Array.from(requiredChecks.values());
+  if (result.length === 0) {
+    core.warning(`No required checks found for ${branch}, evaluating all checks instead`);
+    return null;
+  }
+
+  core.info(`Found ${result.length} required check(s) for ${branch}`);
+  result.forEach(check => {
+    core.info(`  • ${check.name}${check.appId ? ` (app ${check.appId})` : ''}`);
+  });
+
+  return result;
+}
+
+// Whether branch protection or a ruleset requires a check named `name`, with
+// none of the logging getRequiredChecks does for the checks it waits on
+async function isRequiredCheck(octokit, context, branch, name) {
+  const [protectionChecks, rulesetChecks] = await Promise.all([
+    getProtectionChecks(octokit, context, branch),
+    getRulesetChecks(octokit, context, branch)
+  ]);
+  return [...protectionChecks, ...rulesetChecks].some(check => check.name === name);
+}
+
+function matchesRequiredCheck(required, check) {
+  const name = check.name || check.context;
+  if (name !== required.name) {
+    return false;
+  }
+
+  // Commit statuses carry no app, so they can only be matched by name
+  if (required.appId && check.app) {
+    return check.app.id === required.appId;
+  }
+
+  return true;
+}
+
+module.exports = {
+  getRequiredChecks,
+  isRequiredCheck,
+  matchesRequiredCheck
+};
@@ -0,0 +1,134 @@
+const core = require('@actions/core');
+const { findMatch, parsePattern } = require('./checkPatterns');
+
+// Attempt counts per head SHA and check name. Counts start from the runs
+// GitHub already has for the check, so earlier workflow runs count too
+class RerunTracker {
+  constructor() {
+    this.attempts = new Map();
+    this.requested = new Set();
+  }
+
+  createKey(sha, name) {
+    return `${sha}:${name}`;
+  }
+
+  async getAttempts(octokit, context, sha, name) {
+    const key = this.createKey(sha, name);
+    if (!this.attempts.has(key)) {
+      const { data } = await octokit.rest.checks.listForRef({
+        ...context.repo,
+        ref: sha,
+        check_name: name,
+        filter: 'all',
+        per_page: 100
+      });
+      this.attempts.set(key, Math.max(data.check_runs.length - 1, 0));
+    }
+    return this.attempts.get(key);
+  }
+
+  recordRerun(sha, name, checkRunId) {
+    const key = this.createKey(sha, name);
+    this.attempts.set(key, (this.attempts.get(key) || 0) + 1);
+    this.requested.add(checkRunId);
+  }
+
+  // A rerun that GitHub hasn't picked up yet still shows the failed run
+  isRequested(checkRunId) {
+    return this.requested.has(checkRunId);
+  }
+
+  listReruns(sha) {
+    const prefix = `${sha}:`;
+    return Array.from(this.attempts.entries())
+      .filter(([key, attempts]) => key.startsWith(prefix) && attempts > 0)
+      .map(([key, attempts]) => ({ name: key.slice(prefix.length), attempts }));
+  }
+}
+
+const tracker = new RerunTracker();
+
+function parseRerunPolicy(getInput, parseList) {
+  const patterns = parseList(getInput('rerun-checks'));
+  patterns.forEach(parsePattern);
+
+  const maxAttempts = parseInt(getInput('rerun-max-attempts') || '2', 10);
+  if (Number.isNaN(maxAttempts) || maxAttempts < 0) {
+    throw new Error(`Invalid rerun-max-attempts: ${getInput('rerun-max-attempts')}`);
+  }
+
+  return patterns.length > 0 && maxAttempts > 0 ? { patterns, maxAttempts } : null;
+}
+
+// Jobs from GitHub Actions are re-run through the Actions API, where the
+// check run ID is the job ID; other apps receive a rerequest event
+async function rerunCheck(octokit, context, checkRun) {
+  if (checkRun.app?.slug === 'github-actions') {
+    await octokit.rest.actions.reRunJobForWorkflowRun({
+      ...context.repo,
+      job_id: checkRun.id
+    });
+  } else {
+    await octokit.rest.checks.rerequestRun({
+      ...context.repo,
+      check_run_id: checkRun.id
+    });
+  }
+}
+
+// Re-runs failed check runs matching the policy and reports them as pending
+// until their attempts are used up. Commit statuses cannot be re-run
+async function retryFlakyChecks(octokit, context, status, checkRuns, policy) {
+  const patterns = policy.patterns.map(parsePattern);
+  const retrying = new Set();
+
+  for (const name of status.failed) {
+    const checkRun = checkRuns.find(run => run.name === name && run.status === 'completed' && run.id);
+    if (!checkRun || !findMatch(patterns, checkRun)) {
+      continue;
+    }
+
+    if (tracker.isRequested(checkRun.id)) {
+      retrying.add(name);
+      continue;
+    }
+
+    try {
+      const attempts = await tracker.getAttempts(octokit, context, status.sha, name);
+      if (attempts >= policy.maxAttempts) {
+        core.info(`Check "${name}" failed after ${attempts} rerun(s), giving up`);
+        continue;
+      }
+
+      await rerunCheck(octokit, context, checkRun);
+      tracker.recordRerun(status.sha, name, checkRun.id);
+      core.info(`Re-running check "${name}" (rerun ${attempts + 1}/${policy.maxAttempts})`);
+      retrying.add(name);
+    } catch (error) {
+      core.warning(`Failed to re-run check "${name}": ${error.message}`);
+    }
+  }
+
+  const failed = status.failed.filter(name => !retrying.has(name));
+  const pending = [...status.pending, ...retrying];
+
+  return {
+    ...status,
+    allCompleted: pending.length === 0,
+    allPassed: pending.length === 0 && failed.length === 0 && status.passed.length > 0,
+    pending,
+    failed,
+    checks: status.checks.map(check => retrying.has(check.name) && check.state === 'failed'
+      ? { ...check, state: 'pending', status: 'rerun requested' }
+      : check),
+    failedDetails: status.failedDetails.filter(failure => !retrying.has(failure.name)),
+    reruns: tracker.listReruns(status.sha)
+  };
+}
+
+module.exports = {
+  parseRerunPolicy,
+  retryFlakyChecks,
+  tracker
+};
@@ -0,0 +1,59 @@
+const core = require('@actions/core');
+const { formatDuration } = require('./template');
+
+function parseCount(getInput, name, fallback) {
+  const value = parseInt(getInput(name) || String(fallback), 10);
+  if (Number.isNaN(value) || value < 0) {
+    throw new Error(`Invalid ${name}: ${getInput(name)}`);
+  }
+  return value;
+}
+
+// Resolves to null when green checks count right away
+function parseSettleWindow(getInput) {
+  const polls = parseCount(getInput, 'settle-polls', 1);
+  const quietSeconds = parseCount(getInput, 'settle-period', 0);
+  return polls > 1 || quietSeconds > 0 ? { polls: Math.max(polls, 1), quietMs: quietSeconds * 1000 } : null;
+}
+
+function lastCompletion(status) {
+  const completed = (status.checks || [])
+    .map(check => check.completedAt && Date.parse(check.completedAt))
+    .filter(Boolean);
+  return completed.length > 0 ? Math.max(...completed) : null;
+}
+
+// Why a green status has not settled yet, or null once it has. `greenPolls`
+// counts consecutive green evaluations of the same commit, this one included
+function describeSettling(status, window, greenPolls, now = Date.now()) {
+  if (greenPolls < window.polls) {
+    return `green for ${greenPolls} of ${window.polls} poll(s)`;
+  }
+  const completedAt = lastCompletion(status);
+  if (window.quietMs > 0 && completedAt !== null && now - completedAt < window.quietMs) {
+    return `last check finished ${formatDuration(now - completedAt)} ago, waiting for ${formatDuration(window.quietMs)}`;
+  }
+  return null;
+}
+
+// A green status counts as pending until the settle window has passed, which
+// gives late-registering checks time to show up. Event and sweep runs
+// evaluate once and don't count polls, so only the quiet period applies
+function applySettleWindow(status, window, greenPolls = Infinity, now = Date.now()) {
+  if (!window || !status.allPassed) {
+    return status;
+  }
+
+  const settling = describeSettling(status, window, greenPolls, now);
+  if (!settling) {
+    return status;
+  }
+
+  core.info(`Checks are green, waiting for them to settle: ${settling}`);
+  return { ...status, allPassed: false, allCompleted: false, settling };
+}
+
+module.exports = {
+  applySettleWindow,
+  parseSettleWindow
+};
@@ -0,0 +1,113 @@
+const core = require('@actions/core');
+
+// Label settings per CI state, with the color and description used when the
+// label does not exist yet
+const STATES = {
+  pending: { input: 'pending-label', color: 'fbca04', description: 'Checks are running' },
+  failed: { input: 'failed-label', color: 'd73a4a', description: 'Checks failed' },
+  passed: { input: 'passed-label', color: '0e8a16', description: 'Checks passed, waiting for the PR to be ready' },
+  ready: { input: 'ready-label', color: '1d76db', description: 'Checks passed and the PR is ready to merge' }
+};
+
+// handleStatus states to label states. Superseded commits and anything
+// unlisted get no state label
+const LABEL_FOR_STATE = {
+  pending: 'pending',
+  timeout: 'pending',
+  failed: 'failed',
+  'not-mergeable': 'passed',
+  passed: 'ready'
+};
+
+// Resolves to null when no state label is configured
+function parseStateLabels(getInput) {
+  const labels = {};
+  Object.entries(STATES).forEach(([state, { input }]) => {
+    const name = getInput(input).trim();
+    if (name) {
+      labels[state] = name;
+    }
+  });
+  return Object.keys(labels).length > 0 ? labels : null;
+}
+
+const knownLabels = new Set();
+
+async function ensureLabel(octokit, context, name, state) {
+  if (knownLabels.has(name)) {
+    return;
+  }
+
+  try {
+    await octokit.rest.issues.getLabel({ ...context.repo, name });
+  } catch (error) {
+    if (error.status !== 404) {
+      throw error;
+    }
+    const { color, description } = STATES[state];
+    await octokit.rest.issues.createLabel({ ...context.repo, name, color, description });
+    core.info(`Created label "${name}"`);
+  }
+  knownLabels.add(name);
+}
+
+// The last synced label state per PR and head SHA, so polls that don't
+// change the state make no API calls
+const syncedStates = new Map();
+
+// Swaps the PR's state label for the one matching `state`. Labels are added
+// and removed one by one, so labels someone applies in the meantime are
+// never overwritten
+async function syncStateLabels(octokit, context, prNumber, sha, state, labels) {
+  if (!labels) {
+    return;
+  }
+
+  const target = labels[LABEL_FOR_STATE[state]] || null;
+  const key = `${prNumber}:${sha}`;
+  if (syncedStates.has(key) && syncedStates.get(key) === target) {
+    return;
+  }
+
+  try {
+    const stateLabels = Object.values(labels);
+    const current = (await octokit.paginate(octokit.rest.issues.listLabelsOnIssue, {
+      ...context.repo,
+      issue_number: prNumber,
+      per_page: 100
+    })).map(label => label.name);
+
+    const added = target && !current.includes(target);
+    const removed = current.filter(name => stateLabels.includes(name) && name !== target);
+
+    if (added) {
+      await ensureLabel(octokit, context, target, LABEL_FOR_STATE[state]);
+      await octokit.rest.issues.addLabels({ ...context.repo, issue_number: prNumber, labels: [target] });
+    }
+    for (const name of removed) {
+      try {
+        await octokit.rest.issues.removeLabel({ ...context.repo, issue_number: prNumber, name });
+      } catch (error) {
+        // Someone else removed it first
+        if (error.status !== 404) {
+          throw error;
+        }
+      }
+    }
+
+    if (added || removed.length > 0) {
+      core.info(`Labels on PR #${prNumber}: ${target ? `added "${target}"` : 'no state label'}` +
+        `${removed.length > 0 ? `, removed ${removed.map(name => `"${name}"`).join(', ')}` : ''}`);
+    }
+    syncedStates.set(key, target);
+  } catch (error) {
+    core.warning(`Failed to update state labels on PR #${prNumber}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  knownLabels,
+  parseStateLabels,
+  syncStateLabels,
+  syncedStates
+};
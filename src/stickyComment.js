@@ -0,0 +1,87 @@
+const core = require('@actions/core');
+const notificationStore = require('./notificationStore');
+
+const STICKY_MARKER = '<!-- pr-status-check-notifier:sticky -->';
+
+const STATE_LABELS = {
+  pending: '⏳ Pending',
+  passed: '✅ Passed',
+  failed: '❌ Failed'
+};
+
+function escapeTableCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function buildHeading(status) {
+  if (!status.hasChecks) {
+    return '⏳ **No checks found yet**';
+  }
+  if (status.failed.length > 0) {
+    return `❌ **${status.failed.length} check(s) failed**`;
+  }
+  if (status.pending.length > 0) {
+    return `⏳ **Waiting for ${status.pending.length} check(s)**`;
+  }
+  return '✅ **All checks have passed**';
+}
+
+function buildStickyBody(status, markers = []) {
+  const lines = [
+    buildHeading(status),
+    '',
+    `Status for ${status.sha.substring(0, 7)}:`,
+    ''
+  ];
+
+  if (status.checks.length > 0) {
+    lines.push('| Check | Status | Conclusion |', '|-------|--------|------------|');
+    status.checks.forEach(check => {
+      const name = escapeTableCell(check.name);
+      const link = check.url ? `[${name}](${check.url})` : name;
+      lines.push(`| ${link} | ${STATE_LABELS[check.state]} | ${escapeTableCell(check.conclusion || check.status)} |`);
+    });
+    lines.push('');
+  }
+
+  lines.push(STICKY_MARKER, ...markers);
+  return lines.join('\n');
+}
+
+async function findStickyComment(octokit, context, prNumber) {
+  const comments = await notificationStore.listComments(octokit, context, prNumber);
+  return comments.find(comment => comment.body?.includes(STICKY_MARKER)) || null;
+}
+
+async function upsertStickyComment(octokit, context, prNumber, status, markers = []) {
+  const body = buildStickyBody(status, markers);
+
+  try {
+    const existing = await findStickyComment(octokit, context, prNumber);
+
+    if (!existing) {
+      await octokit.rest.issues.createComment({
+        ...context.repo,
+        issue_number: prNumber,
+        body
+      });
+      core.info('Created sticky status comment');
+    } else if (existing.body !== body) {
+      await octokit.rest.issues.updateComment({
+        ...context.repo,
+        comment_id: existing.id,
+        body
+      });
+      core.info(`Updated sticky status comment ${existing.id}`);
+    }
+  } catch (error) {
+    core.error(`Failed to update sticky comment: ${error.message}`);
+    throw error;
+  }
+}
+
+module.exports = {
+  buildStickyBody,
+  findStickyComment,
+  upsertStickyComment
+};
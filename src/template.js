@@ -0,0 +1,260 @@
+const core = require('@actions/core');
+
+// A small Handlebars-style engine: {{var}}, {{#if var}}…{{else}}…{{/if}},
+// {{#unless var}}…{{/unless}} and {{#each list}}…{{this}}…{{/each}}
+const TOKEN_PATTERN = /(\{\{[^{}]*\}\})/;
+
+function parseTag(token) {
+  const inner = token.slice(2, -2).trim();
+
+  if (inner === 'else') {
+    return { type: 'else' };
+  }
+
+  const block = inner.match(/^([#/])(if|unless|each)(?:\s+([\w.@]+))?$/);
+  if (block) {
+    return block[1] === '#'
+      ? { type: 'open', block: block[2], path: block[3] }
+      : { type: 'close', block: block[2] };
+  }
+
+  if (/^[\w.@]+$/.test(inner)) {
+    return { type: 'var', path: inner };
+  }
+
+  throw new Error(`Template error: unrecognized tag ${token}`);
+}
+
+function parseTemplate(template) {
+  const root = { children: [] };
+  const stack = [root];
+
+  template.split(TOKEN_PATTERN).forEach(part => {
+    const current = stack[stack.length - 1];
+    const target = current.inElse ? current.otherwise : current.children;
+
+    if (!TOKEN_PATTERN.test(part)) {
+      if (part) target.push({ type: 'text', value: part });
+      return;
+    }
+
+    const tag = parseTag(part);
+    if (tag.type === 'var') {
+      target.push(tag);
+    } else if (tag.type === 'open') {
+      if (!tag.path) {
+        throw new Error(`Template error: {{#${tag.block}}} needs a variable`);
+      }
+      const node = { type: tag.block, path: tag.path, children: [], otherwise: [] };
+      target.push(node);
+      stack.push(node);
+    } else if (tag.type === 'else') {
+      if (stack.length === 1 || current.inElse) {
+        throw new Error('Template error: unexpected {{else}}');
+      }
+      current.inElse = true;
+    } else {
+      if (stack.length === 1 || current.type !== tag.block) {
+        throw new Error(`Template error: unexpected {{/${tag.block}}}`);
+      }
+      stack.pop();
+    }
+  });
+
+  if (stack.length > 1) {
+    throw new Error(`Template error: unclosed {{#${stack[stack.length - 1].type}}}`);
+  }
+
+  return root.children;
+}
+
+function lookup(scopes, path) {
+  if (path === 'this') {
+    return scopes[scopes.length - 1].this;
+  }
+
+  const [head, ...rest] = path.split('.');
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    if (scopes[i] && head in Object(scopes[i])) {
+      return rest.reduce((value, key) => value?.[key], scopes[i][head]);
+    }
+  }
+  return undefined;
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function formatValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+function renderNodes(nodes, scopes) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'var':
+        return formatValue(lookup(scopes, node.path));
+      case 'if':
+      case 'unless': {
+        const matched = isTruthy(lookup(scopes, node.path)) === (node.type === 'if');
+        return renderNodes(matched ? node.children : node.otherwise, scopes);
+      }
+      case 'each': {
+        const items = lookup(scopes, node.path);
+        if (!isTruthy(items)) {
+          return renderNodes(node.otherwise, scopes);
+        }
+        return [].concat(items).map((item, index) => {
+          const scope = typeof item === 'object' && item !== null
+            ? { ...item, this: item, '@index': index }
+            : { this: item, '@index': index };
+          return renderNodes(node.children, [...scopes, scope]);
+        }).join('');
+      }
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+function renderTemplate(template, variables) {
+  // `{user}` predates the engine and has always meant the person to ping
+  const source = template.replace(/(?<!\{)\{user\}(?!\})/g, '{{author}}');
+  return renderNodes(parseTemplate(source), [variables]);
+}
+
+function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+}
+
+const WAITING_LABELS = {
+  queued: 'queued',
+  in_progress: 'in progress',
+  expected: 'not reported'
+};
+
+// How long each pending check has been waiting, measured from when it
+// started or, for commit statuses, was created
+function describePendingChecks(status, now = Date.now()) {
+  return (status.checks || [])
+    .filter(check => check.state === 'pending')
+    .map(check => {
+      const waitingMs = check.startedAt ? now - Date.parse(check.startedAt) : null;
+      return {
+        name: check.name,
+        url: check.url,
+        status: WAITING_LABELS[check.status] || check.status,
+        reported: check.status !== 'expected',
+        waitingMs,
+        waiting: waitingMs === null ? null : formatDuration(waitingMs)
+      };
+    });
+}
+
+function buildTemplateVariables(context, pr, status, startTime = Date.now()) {
+  // Time since the first check on this commit started, or since we began
+  // watching when no check reported a start time
+  const started = (status.checks || [])
+    .map(check => check.startedAt && Date.parse(check.startedAt))
+    .filter(Boolean);
+  const since = started.length > 0 ? Math.min(...started, startTime) : startTime;
+
+  const reviewers = [
+    ...(pr.requested_reviewers || []).map(reviewer => `@${reviewer.login}`),
+    ...(pr.requested_teams || []).map(team => `@${context.repo.owner}/${team.slug}`)
+  ];
+
+  return {
+    author: pr.user?.login || context.actor,
+    recipients: [`@${pr.user?.login || context.actor}`],
+    actor: context.actor,
+    reviewers,
+    title: pr.title,
+    number: pr.number,
+    url: pr.html_url,
+    sha: status.sha,
+    shortSha: status.sha?.substring(0, 7),
+    branch: pr.head?.ref,
+    baseBranch: pr.base?.ref,
+    elapsed: formatDuration(Date.now() - since),
+    passed: status.passed,
+    failed: status.failed,
+    pending: status.pending,
+    missing: status.missing || [],
+    pendingChecks: describePendingChecks(status),
+    failures: status.failedDetails || []
+  };
+}
+
+const templateCache = new Map();
+
+async function loadTemplate(octokit, context, path, ref) {
+  const key = `${ref}:${path}`;
+  if (templateCache.has(key)) {
+    return templateCache.get(key);
+  }
+
+  try {
+    const { data } = await octokit.rest.repos.getContent({
+      ...context.repo,
+      path,
+      ref
+    });
+
+    if (Array.isArray(data) || data.type !== 'file') {
+      throw new Error('not a file');
+    }
+
+    const template = Buffer.from(data.content, data.encoding || 'base64').toString('utf8');
+    templateCache.set(key, template);
+    return template;
+  } catch (error) {
+    throw new Error(`Failed to load template ${path}@${ref}: ${error.message}`);
+  }
+}
+
+// Inline messages are single-line inputs, so they spell newlines, tabs and
+// other characters as escapes. Only the template source is unescaped, never
+// the values rendered into it
+function unescapeMessage(message) {
+  return message
+    // Convert escaped newlines to actual newlines
+    .replace(/\\n/g, '\n')
+    // Convert escaped tabs to actual tabs
+    .replace(/\\t/g, '\t')
+    // Convert Unicode escape sequences
+    .replace(/\\u[\dA-F]{4}/gi, match =>
+      String.fromCharCode(parseInt(match.replace(/\\u/g, ''), 16))
+    )
+    // Unescape other characters
+    .replace(/\\(.)/g, '$1');
+}
+
+// Prefers the template file when one is configured, falling back to the
+// inline message input
+async function resolveTemplate(octokit, context, { message, file }, ref) {
+  if (file) {
+    core.info(`Using template ${file}@${ref}`);
+    return { template: await loadTemplate(octokit, context, file, ref), fromFile: true };
+  }
+  return { template: unescapeMessage(message || ''), fromFile: false };
+}
+
+module.exports = {
+  buildTemplateVariables,
+  describePendingChecks,
+  formatDuration,
+  loadTemplate,
+  renderTemplate,
+  resolveTemplate,
+  unescapeMessage
+};